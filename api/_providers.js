@@ -0,0 +1,418 @@
+// LLM provider adapters shared by the API functions.
+// The leading underscore keeps Vercel from deploying this file as its own endpoint.
+//
+// Every provider is an adapter with the same shape, so api/llm.js can stream from any
+// of them and api/keys.js and the UI can list them without naming each one:
+//   id, label              - stored in user_api_keys.provider / shown in the UI
+//   envKey                 - environment variable holding the default API key
+//   requiresKey            - false for local servers (e.g. Ollama) that take no key
+//   isAvailable()          - false when the provider needs configuration that is missing
+//   getDefaultModel()      - used when the request has no model name
+//   buildRequest(request, model, apiKey) - { url, headers, body } for a streaming call;
+//                            request is { system, messages, settings, jsonSchema }
+//   parseEvent(event, usage) - { chunk, usage } from one parsed SSE event
+//   readError(body)        - { message, errorType } from an error response body
+
+// Rate-limit (429) and overloaded (503, Anthropic 529) responses are temporary,
+// so they are flagged as retryable and the client backs off and tries again
+const RETRYABLE_STATUS_CODES = [429, 503, 529];
+const RETRYABLE_ERROR_TYPES = ['rate_limit_error', 'overloaded_error', 'RESOURCE_EXHAUSTED', 'UNAVAILABLE'];
+
+function providerError(message, { status, errorType, retryAfter } = {}) {
+    const error = new Error(message);
+    // OpenAI reports an exhausted quota as 429 too, but waiting will not fix it
+    error.retryable = errorType !== 'insufficient_quota' &&
+        (RETRYABLE_STATUS_CODES.includes(status) || RETRYABLE_ERROR_TYPES.includes(errorType));
+    const retryAfterSeconds = parseInt(retryAfter, 10);
+    if (!isNaN(retryAfterSeconds)) {
+        error.retryAfter = retryAfterSeconds;
+    }
+    return error;
+}
+
+// Defaults for the generation settings api/llm.js does not fill in itself
+const DEFAULT_TEMPERATURE = 0.7;
+
+// Anthropic and older Gemini models take a token budget instead of an effort level
+const THINKING_BUDGETS = { low: 2048, medium: 8192, high: 24576 };
+
+// ============================================
+// OPENAI (and OpenAI-compatible servers)
+// ============================================
+
+function buildOpenAIBody({ system, messages, settings, jsonSchema }, model, maxTokensField) {
+    return {
+        model,
+        messages: [{ role: 'system', content: system }, ...messages],
+        // Reasoning models reject temperature and stop sequences alongside reasoning_effort
+        ...(settings.reasoningEffort
+            ? { reasoning_effort: settings.reasoningEffort }
+            : {
+                temperature: settings.temperature ?? DEFAULT_TEMPERATURE,
+                ...(settings.stop && { stop: settings.stop })
+            }),
+        [maxTokensField]: settings.maxOutputTokens,
+        stream: true,
+        stream_options: { include_usage: true }, // Final chunk carries token counts
+        ...(jsonSchema && {
+            response_format: {
+                type: 'json_schema',
+                json_schema: { name: 'structured_output', schema: jsonSchema }
+            }
+        })
+    };
+}
+
+function parseOpenAIEvent(event) {
+    return {
+        chunk: event.choices?.[0]?.delta?.content,
+        usage: event.usage && {
+            inputTokens: event.usage.prompt_tokens || 0,
+            outputTokens: event.usage.completion_tokens || 0
+        }
+    };
+}
+
+function readOpenAIError(body) {
+    return { message: body.error?.message, errorType: body.error?.code };
+}
+
+const openai = {
+    id: 'openai',
+    label: 'OpenAI',
+    envKey: 'OPENAI_API_KEY',
+    requiresKey: true,
+    keyPlaceholder: 'sk-...',
+    isAvailable: () => true,
+    getDefaultModel: () => process.env.OPENAI_MODEL || 'gpt-5.2',
+    buildRequest(request, model, apiKey) {
+        return {
+            url: 'https://api.openai.com/v1/chat/completions',
+            headers: { 'Authorization': `Bearer ${apiKey}` },
+            body: buildOpenAIBody(request, model, 'max_completion_tokens')
+        };
+    },
+    parseEvent: parseOpenAIEvent,
+    readError: readOpenAIError
+};
+
+// Any server that speaks the OpenAI chat completions API: Azure OpenAI (v1 API),
+// OpenRouter, vLLM, or Ollama on your own machine. The administrator sets the base
+// URL - users cannot, so the server never calls an address a user picked.
+// Azure sends the key in an api-key header and needs an api-version query parameter,
+// so both the key header and extra query parameters are configurable.
+function getCompatibleAuthHeaders(apiKey) {
+    if (!apiKey) return {};
+    const header = process.env.OPENAI_COMPATIBLE_API_KEY_HEADER || 'Authorization';
+    return header.toLowerCase() === 'authorization'
+        ? { 'Authorization': `Bearer ${apiKey}` }
+        : { [header]: apiKey };
+}
+
+const openaiCompatible = {
+    id: 'openai-compatible',
+    get label() {
+        return process.env.OPENAI_COMPATIBLE_LABEL || 'OpenAI-compatible';
+    },
+    envKey: 'OPENAI_COMPATIBLE_API_KEY',
+    requiresKey: false,
+    keyPlaceholder: 'API key (if the server needs one)',
+    // There is no sensible default model for an unknown server, so both must be set
+    isAvailable: () => !!(process.env.OPENAI_COMPATIBLE_BASE_URL && process.env.OPENAI_COMPATIBLE_MODEL),
+    getDefaultModel: () => process.env.OPENAI_COMPATIBLE_MODEL,
+    // Local models often have much smaller context windows than the hosted providers
+    getContextTokens: () => parseInt(process.env.OPENAI_COMPATIBLE_CONTEXT_TOKENS, 10) || 32000,
+    buildRequest(request, model, apiKey) {
+        const baseUrl = process.env.OPENAI_COMPATIBLE_BASE_URL.replace(/\/+$/, '');
+        const query = (process.env.OPENAI_COMPATIBLE_QUERY || '').replace(/^\?/, '');
+        return {
+            url: `${baseUrl}/chat/completions${query ? `?${query}` : ''}`,
+            headers: getCompatibleAuthHeaders(apiKey),
+            // max_completion_tokens is OpenAI-only; compatible servers all accept max_tokens
+            body: buildOpenAIBody(request, model, 'max_tokens')
+        };
+    },
+    parseEvent: parseOpenAIEvent,
+    readError: readOpenAIError
+};
+
+// ============================================
+// ANTHROPIC
+// ============================================
+
+const anthropic = {
+    id: 'anthropic',
+    label: 'Claude',
+    envKey: 'ANTHROPIC_API_KEY',
+    requiresKey: true,
+    keyPlaceholder: 'sk-ant-...',
+    isAvailable: () => true,
+    getDefaultModel: () => process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-6',
+    buildRequest({ system, messages, settings, jsonSchema }, model, apiKey) {
+        // Extended thinking can't be combined with a forced tool call, so structured output skips it.
+        // Thinking tokens count toward max_tokens, so the budget is added on top of the output limit.
+        const thinkingBudget = settings.reasoningEffort && !jsonSchema ? THINKING_BUDGETS[settings.reasoningEffort] : 0;
+        return {
+            url: 'https://api.anthropic.com/v1/messages',
+            headers: {
+                'x-api-key': apiKey,
+                'anthropic-version': '2023-06-01'
+            },
+            body: {
+                model,
+                max_tokens: settings.maxOutputTokens + thinkingBudget,
+                system,
+                messages,
+                // Anthropic caps temperature at 1 and requires the default when thinking
+                ...(thinkingBudget
+                    ? { thinking: { type: 'enabled', budget_tokens: thinkingBudget } }
+                    : { temperature: Math.min(settings.temperature ?? DEFAULT_TEMPERATURE, 1) }),
+                ...(settings.stop && { stop_sequences: settings.stop }),
+                stream: true,
+                // Structured output: force a single tool call whose input is the schema
+                ...(jsonSchema && {
+                    tools: [{
+                        name: 'structured_output',
+                        description: 'Record the extracted data',
+                        input_schema: jsonSchema
+                    }],
+                    tool_choice: { type: 'tool', name: 'structured_output' }
+                })
+            }
+        };
+    },
+    parseEvent(event, usage) {
+        // Anthropic sends content in delta events
+        // (tool input arrives as partial_json when structured output is on)
+        if (event.type === 'content_block_delta') {
+            return { chunk: event.delta?.text ?? event.delta?.partial_json };
+        }
+        if (event.type === 'message_start' && event.message?.usage) {
+            // Input tokens (including prompt cache reads/writes) arrive up front
+            const start = event.message.usage;
+            return {
+                usage: {
+                    inputTokens: (start.input_tokens || 0) + (start.cache_creation_input_tokens || 0) + (start.cache_read_input_tokens || 0),
+                    outputTokens: start.output_tokens || 0
+                }
+            };
+        }
+        if (event.type === 'message_delta' && event.usage && usage) {
+            // Output tokens are cumulative in each message_delta
+            return { usage: { ...usage, outputTokens: event.usage.output_tokens || usage.outputTokens } };
+        }
+        if (event.type === 'error') {
+            // Errors can also arrive mid-stream (e.g. overloaded_error)
+            throw providerError(`Claude API error: ${event.error?.message || event.error?.type}`, {
+                errorType: event.error?.type
+            });
+        }
+        return {};
+    },
+    readError(body) {
+        return { message: body.error?.message || body.message, errorType: body.error?.type };
+    }
+};
+
+// ============================================
+// GEMINI
+// ============================================
+
+// Gemini's responseSchema accepts an OpenAPI-style subset of JSON Schema, so drop
+// unsupported keywords and express ["x", "null"] type unions as nullable
+const GEMINI_SCHEMA_KEYS = ['type', 'format', 'description', 'nullable', 'enum', 'properties', 'required', 'items', 'minItems', 'maxItems', 'minimum', 'maximum', 'anyOf'];
+
+function toGeminiSchema(schema) {
+    if (!schema || typeof schema !== 'object') return schema;
+
+    const converted = {};
+    for (const [key, value] of Object.entries(schema)) {
+        if (!GEMINI_SCHEMA_KEYS.includes(key)) continue;
+        if (key === 'properties') {
+            converted.properties = Object.fromEntries(
+                Object.entries(value).map(([name, child]) => [name, toGeminiSchema(child)])
+            );
+        } else if (key === 'items') {
+            converted.items = toGeminiSchema(value);
+        } else if (key === 'anyOf') {
+            converted.anyOf = value.map(toGeminiSchema);
+        } else {
+            converted[key] = value;
+        }
+    }
+
+    if (Array.isArray(converted.type)) {
+        const types = converted.type.filter(type => type !== 'null');
+        if (types.length < converted.type.length) converted.nullable = true;
+        converted.type = types[0];
+    }
+    if (converted.type) converted.type = converted.type.toUpperCase();
+
+    return converted;
+}
+
+// Gemini 3 models take a thinking level; Gemini 2.5 models take a token budget.
+// Gemini 3 Flash supports every level, Gemini 3 Pro only low and high.
+function getGeminiThinkingConfig(model, reasoningEffort) {
+    if (!reasoningEffort) return null;
+    if (!model.startsWith('gemini-3')) {
+        return { thinkingBudget: THINKING_BUDGETS[reasoningEffort] };
+    }
+    const supportsMedium = model.includes('flash');
+    return { thinkingLevel: reasoningEffort === 'medium' && !supportsMedium ? 'low' : reasoningEffort };
+}
+
+const gemini = {
+    id: 'gemini',
+    label: 'Gemini',
+    envKey: 'GEMINI_API_KEY',
+    requiresKey: true,
+    keyPlaceholder: 'AI...',
+    isAvailable: () => true,
+    getDefaultModel: () => process.env.GEMINI_MODEL || 'gemini-3-flash-preview',
+    buildRequest({ system, messages, settings, jsonSchema }, model, apiKey) {
+        const thinkingConfig = getGeminiThinkingConfig(model, settings.reasoningEffort);
+        return {
+            url: `https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?key=${apiKey}&alt=sse`,
+            headers: {},
+            body: {
+                systemInstruction: { parts: [{ text: system }] },
+                // Gemini calls the assistant role "model"
+                contents: messages.map(({ role, content }) => ({
+                    role: role === 'assistant' ? 'model' : 'user',
+                    parts: [{ text: content }]
+                })),
+                generationConfig: {
+                    temperature: settings.temperature ?? DEFAULT_TEMPERATURE,
+                    maxOutputTokens: settings.maxOutputTokens,
+                    ...(settings.stop && { stopSequences: settings.stop }),
+                    ...(thinkingConfig && { thinkingConfig }),
+                    ...(jsonSchema && {
+                        responseMimeType: 'application/json',
+                        responseSchema: toGeminiSchema(jsonSchema)
+                    })
+                }
+            }
+        };
+    },
+    parseEvent(event) {
+        const meta = event.usageMetadata;
+        return {
+            chunk: event.candidates?.[0]?.content?.parts?.[0]?.text,
+            // Each chunk repeats the running totals; thinking tokens bill as output
+            usage: meta && {
+                inputTokens: meta.promptTokenCount || 0,
+                outputTokens: (meta.candidatesTokenCount || 0) + (meta.thoughtsTokenCount || 0)
+            }
+        };
+    },
+    readError(body) {
+        return { message: body.error?.message, errorType: body.error?.status };
+    }
+};
+
+// ============================================
+// REGISTRY
+// ============================================
+
+// Order here is the order providers are listed in the UI
+const PROVIDERS = [gemini, openai, anthropic, openaiCompatible];
+
+// The adapter for a provider id, or null if it is unknown or not configured
+export function getProvider(id) {
+    return PROVIDERS.find(provider => provider.id === id && provider.isAvailable()) || null;
+}
+
+export function getProviderIds() {
+    return PROVIDERS.filter(provider => provider.isAvailable()).map(provider => provider.id);
+}
+
+// What the browser needs to list a provider (served by /api/config) - no secrets
+export function listProviders() {
+    return PROVIDERS.filter(provider => provider.isAvailable()).map(provider => ({
+        id: provider.id,
+        label: provider.label,
+        defaultModel: provider.getDefaultModel(),
+        keyPlaceholder: provider.keyPlaceholder,
+        requiresKey: provider.requiresKey,
+        ...(provider.getContextTokens && { contextTokens: provider.getContextTokens() })
+    }));
+}
+
+// Stream one request through a provider: each text chunk is forwarded to the client
+// as an SSE { chunk } event. Returns { output, usage, model }.
+export async function streamProvider(provider, request, modelName, res, apiKey, signal) {
+    const model = modelName || provider.getDefaultModel();
+    const { url, headers, body } = provider.buildRequest(request, model, apiKey);
+
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal
+    });
+
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        const { message, errorType } = provider.readError(error);
+        throw providerError(`${provider.label} API error: ${message || response.statusText}`, {
+            status: response.status,
+            errorType,
+            retryAfter: response.headers.get('retry-after')
+        });
+    }
+
+    // Read streaming response
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let output = '';
+    let usage = null;
+
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            // Use stream: true to handle multi-byte characters split across chunks
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+
+            // Keep the last partial line in the buffer
+            buffer = lines.pop() || '';
+
+            for (const line of lines) {
+                if (!line.trim() || !line.startsWith('data: ')) continue;
+
+                const data = line.slice(6).trim();
+                if (data === '[DONE]') continue;
+
+                let event;
+                try {
+                    event = JSON.parse(data);
+                } catch (e) {
+                    continue; // Skip malformed JSON
+                }
+
+                const parsed = provider.parseEvent(event, usage);
+                if (parsed.chunk) {
+                    output += parsed.chunk;
+                    res.write(`data: ${JSON.stringify({ chunk: parsed.chunk })}\n\n`);
+                }
+                if (parsed.usage) {
+                    usage = parsed.usage;
+                }
+            }
+        }
+
+        // Process any remaining data in buffer
+        if (buffer.trim()) {
+            decoder.decode(); // Flush decoder
+        }
+
+        return { output, usage, model };
+    } catch (error) {
+        console.error(`${provider.label} streaming error:`, error);
+        throw error;
+    }
+}
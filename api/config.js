@@ -1,15 +1,18 @@
 // Vercel Serverless Function to provide public configuration
 // This safely exposes only the public/anon keys (not secret keys)
 
+import { listProviders } from './_providers.js';
+
 export default function handler(req, res) {
     // Only allow GET requests
     if (req.method !== 'GET') {
         return res.status(405).json({ error: 'Method not allowed' });
     }
 
-    // Return public Supabase configuration
+    // Return public Supabase configuration and the LLM providers this deployment offers
     res.status(200).json({
         supabaseUrl: process.env.SUPABASE_URL || '',
-        supabaseAnonKey: process.env.SUPABASE_ANON_KEY || ''
+        supabaseAnonKey: process.env.SUPABASE_ANON_KEY || '',
+        providers: listProviders()
     });
 }
@@ -3,6 +3,7 @@
 
 import crypto from 'crypto';
 import { createClient } from '@supabase/supabase-js';
+import { getProviderIds } from './_providers.js';
 
 // Initialize Supabase client with service role for server-side operations
 function getSupabaseClient() {
@@ -121,9 +122,9 @@ export default async function handler(req, res) {
                 return res.status(400).json({ error: 'Missing provider or apiKey' });
             }
 
-            const validProviders = ['openai', 'anthropic', 'gemini'];
+            const validProviders = getProviderIds();
             if (!validProviders.includes(provider)) {
-                return res.status(400).json({ error: 'Invalid provider. Must be: openai, anthropic, or gemini' });
+                return res.status(400).json({ error: `Invalid provider. Must be one of: ${validProviders.join(', ')}` });
             }
 
             // Basic validation of API key format
@@ -5,6 +5,7 @@
 
 import crypto from 'crypto';
 import { createClient } from '@supabase/supabase-js';
+import { getProvider, streamProvider } from './_providers.js';
 
 // Encryption functions for decrypting user API keys
 const ALGORITHM = 'aes-256-gcm';
@@ -66,7 +67,7 @@ async function verifyUserToken(supabase, authHeader) {
 }
 
 // Get user's API key for a provider (if they have one saved)
-async function getUserApiKey(supabase, userId, provider) {
+async function getUserApiKey(supabase, userId, providerId) {
     if (!supabase || !userId) return null;
 
     try {
@@ -74,7 +75,7 @@ async function getUserApiKey(supabase, userId, provider) {
             .from('user_api_keys')
             .select('encrypted_key')
             .eq('user_id', userId)
-            .eq('provider', provider)
+            .eq('provider', providerId)
             .single();
 
         if (error || !data) return null;
@@ -90,294 +91,330 @@ async function getUserApiKey(supabase, userId, provider) {
 async function getApiKey(provider, supabase, userId) {
     // First, try to get user's custom API key
     if (supabase && userId) {
-        const userKey = await getUserApiKey(supabase, userId, provider);
+        const userKey = await getUserApiKey(supabase, userId, provider.id);
         if (userKey) {
             return { key: userKey, isUserKey: true };
         }
     }
 
     // Fall back to environment variable
-    let envKey;
-    switch (provider) {
-        case 'openai':
-            envKey = process.env.OPENAI_API_KEY;
-            break;
-        case 'anthropic':
-            envKey = process.env.ANTHROPIC_API_KEY;
-            break;
-        case 'gemini':
-            envKey = process.env.GEMINI_API_KEY;
-            break;
-    }
+    return { key: process.env[provider.envKey], isUserKey: false };
+}
 
-    return { key: envKey, isUserKey: false };
+// ============================================
+// STRUCTURED OUTPUT
+// ============================================
+
+// Models sometimes wrap JSON in a markdown code fence even when asked not to
+function parseJsonOutput(output) {
+    const fenced = output.trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/);
+    return JSON.parse(fenced ? fenced[1] : output);
 }
 
-export default async function handler(req, res) {
-    // Only allow POST requests
-    if (req.method !== 'POST') {
-        return res.status(405).json({ error: 'Method not allowed' });
+function matchesType(value, type) {
+    switch (type) {
+        case 'null': return value === null;
+        case 'array': return Array.isArray(value);
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && isFinite(value);
+        default: return typeof value === type;
     }
+}
 
-    try {
-        const { provider, prompt, text, modelName } = req.body;
+// Minimal JSON Schema validator covering the keywords extraction schemas use:
+// type, enum, anyOf, properties, required, additionalProperties, items, minimum, maximum
+function validateAgainstSchema(value, schema, path = '$') {
+    if (!schema || typeof schema !== 'object') return [];
 
-        if (!prompt || !text) {
-            return res.status(400).json({ error: 'Missing prompt or text' });
+    if (schema.anyOf) {
+        const matches = schema.anyOf.some(option => validateAgainstSchema(value, option, path).length === 0);
+        return matches ? [] : [`${path}: does not match any allowed schema`];
+    }
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            return [`${path}: expected ${types.join(' or ')}`];
         }
+    }
 
-        // Initialize Supabase and check for user authentication
-        const supabase = getSupabaseClient();
-        const userId = supabase ? await verifyUserToken(supabase, req.headers.authorization) : null;
+    const errors = [];
 
-        // Get API key (user's or default)
-        const { key: apiKey, isUserKey } = await getApiKey(provider, supabase, userId);
+    if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+        errors.push(`${path}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
 
-        if (!apiKey) {
-            return res.status(400).json({
-                error: `No API key configured for ${provider}. ${userId ? 'Add your API key in Settings.' : 'Please login and add your API key, or contact the administrator.'}`
-            });
-        }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
 
-        // Set headers for streaming response
-        res.setHeader('Content-Type', 'text/event-stream');
-        res.setHeader('Cache-Control', 'no-cache');
-        res.setHeader('Connection', 'keep-alive');
+    if (matchesType(value, 'object')) {
+        const properties = schema.properties || {};
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) errors.push(`${path}.${key}: is required`);
+        });
+        Object.entries(value).forEach(([key, child]) => {
+            if (properties[key]) {
+                errors.push(...validateAgainstSchema(child, properties[key], `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key}: is not allowed`);
+            }
+        });
+    }
 
-        // Send initial status immediately to flush headers to the client
-        // This lets the frontend's fetch() resolve before the LLM API responds
-        res.write(`data: ${JSON.stringify({ status: 'connected' })}\n\n`);
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, i) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${i}]`)));
+    }
 
-        if (provider === 'openai') {
-            await streamOpenAI(prompt, text, modelName, res, apiKey);
-        } else if (provider === 'anthropic') {
-            await streamAnthropic(prompt, text, modelName, res, apiKey);
-        } else if (provider === 'gemini') {
-            await streamGemini(prompt, text, modelName, res, apiKey);
-        } else {
-            return res.status(400).json({ error: 'Invalid provider' });
-        }
+    return errors;
+}
 
-        // Don't call res.end() here - each streaming function handles it
-        // to ensure all writes complete before closing the connection
+function validateStructuredOutput(output, jsonSchema) {
+    let value;
+    try {
+        value = parseJsonOutput(output);
     } catch (error) {
-        console.error('LLM API Error:', error);
-        // Send error as SSE event
-        res.write(`data: ${JSON.stringify({ error: error.message })}\n\n`);
-        res.end();
+        return { valid: false, errors: [`Output is not valid JSON: ${error.message}`] };
     }
+    const errors = validateAgainstSchema(value, jsonSchema);
+    return { valid: errors.length === 0, errors };
 }
 
-async function streamOpenAI(prompt, text, modelName, res, apiKey) {
-    const model = modelName || process.env.OPENAI_MODEL || 'gpt-5.2';
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${apiKey}`
-        },
-        body: JSON.stringify({
-            model,
-            messages: [{ role: 'user', content: `${prompt}\n\n${text}` }],
-            temperature: 0.7,
-            max_tokens: 16000, // Ensure complete responses for long transcripts
-            stream: true
-        })
-    });
-
-    if (!response.ok) {
-        const error = await response.json().catch(() => ({}));
-        throw new Error(`OpenAI API error: ${error.error?.message || response.statusText}`);
+// ============================================
+// MESSAGES
+// ============================================
+
+// Requests are sent to every provider as a system instruction (the prompt) and a
+// list of chat turns. The first user turn is the delimited text - a transcript unless
+// the client labels it as something else (contentLabel, e.g. 'PARTIAL OUTPUTS'); a follow-up
+// chat on a result adds the earlier answer and each question after it as further turns:
+// [{ role: 'assistant', content }, { role: 'user', content }, ...]
+const MAX_FOLLOW_UP_MESSAGES = 200;
+
+// Returns an error message, or null if the follow-up turns are usable
+function validateFollowUps(followUps) {
+    if (!Array.isArray(followUps) || followUps.length > MAX_FOLLOW_UP_MESSAGES) {
+        return `messages must be an array of at most ${MAX_FOLLOW_UP_MESSAGES} turns`;
     }
+    // Turns alternate, starting with the original answer and ending with a question
+    const invalid = followUps.findIndex((message, i) =>
+        !message || message.role !== (i % 2 === 0 ? 'assistant' : 'user')
+        || typeof message.content !== 'string' || !message.content.trim()
+    );
+    if (invalid !== -1) {
+        return `messages[${invalid}] must be a non-empty ${invalid % 2 === 0 ? 'assistant' : 'user'} turn`;
+    }
+    if (followUps.length % 2 === 0) {
+        return 'messages must end with a user turn';
+    }
+    return null;
+}
 
-    // Read streaming response
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-    let buffer = '';
+const DEFAULT_CONTENT_LABEL = 'TRANSCRIPT';
+const CONTENT_LABEL_PATTERN = /^[A-Z][A-Z0-9 ]{0,39}$/;
 
-    try {
-        while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
-
-            // Use stream: true to handle multi-byte characters split across chunks
-            buffer += decoder.decode(value, { stream: true });
-            const lines = buffer.split('\n');
-
-            // Keep the last partial line in the buffer
-            buffer = lines.pop() || '';
-
-            for (const line of lines) {
-                if (line.trim() && line.startsWith('data: ')) {
-                    const data = line.slice(6).trim();
-                    if (data === '[DONE]') continue;
-
-                    try {
-                        const parsed = JSON.parse(data);
-                        const content = parsed.choices[0]?.delta?.content;
-                        if (content) {
-                            res.write(`data: ${JSON.stringify({ chunk: content })}\n\n`);
-                        }
-                    } catch (e) {
-                        // Skip malformed JSON
-                    }
-                }
-            }
-        }
+// Returns an error message, or null if the label is usable
+function validateContentLabel(contentLabel) {
+    if (contentLabel === undefined || CONTENT_LABEL_PATTERN.test(contentLabel)) return null;
+    return 'contentLabel must be 1-40 capital letters, digits or spaces';
+}
 
-        // Process any remaining data in buffer
-        if (buffer.trim()) {
-            decoder.decode(); // Flush decoder
-        }
+// Delimiting the text keeps instructions quoted inside it from reading as part of the prompt
+function formatUserContent(text, contentLabel) {
+    return `=== BEGIN ${contentLabel} ===\n${text}\n=== END ${contentLabel} ===`;
+}
 
-        // Send completion signal and end response together to ensure delivery
-        res.end(`data: ${JSON.stringify({ done: true })}\n\n`);
-    } catch (error) {
-        console.error('OpenAI streaming error:', error);
-        throw error;
+// The text can be left out of a follow-up (e.g. a result reopened from history)
+function buildMessages(prompt, text, followUps = [], contentLabel = DEFAULT_CONTENT_LABEL) {
+    const content = text && text.trim()
+        ? formatUserContent(text, contentLabel)
+        : `The ${contentLabel.toLowerCase()} is not included in this conversation. Answer from the previous response.`;
+    return {
+        system: prompt,
+        messages: [
+            { role: 'user', content },
+            ...followUps.map(({ role, content }) => ({ role, content }))
+        ]
+    };
+}
+
+// ============================================
+// GENERATION SETTINGS
+// ============================================
+
+// Saved prompts can carry their own sampling settings:
+// { temperature, maxOutputTokens, reasoningEffort, stop }
+// Every field is optional. A missing max output tokens uses the default below; each
+// provider adapter in _providers.js maps the rest (and the default temperature).
+const DEFAULT_MAX_OUTPUT_TOKENS = 16000;
+const MAX_OUTPUT_TOKENS_LIMIT = 128000;
+const MAX_STOP_SEQUENCES = 4; // OpenAI's limit, the lowest of the providers
+const REASONING_EFFORTS = ['low', 'medium', 'high'];
+
+// Returns an error message, or null if the settings are usable
+function validateGenerationSettings(settings) {
+    if (settings === undefined || settings === null) return null;
+    if (typeof settings !== 'object' || Array.isArray(settings)) {
+        return 'settings must be an object';
     }
+
+    const { temperature, maxOutputTokens, reasoningEffort, stop } = settings;
+    if (temperature !== undefined && (typeof temperature !== 'number' || temperature < 0 || temperature > 2)) {
+        return 'settings.temperature must be a number from 0 to 2';
+    }
+    if (maxOutputTokens !== undefined && (!Number.isInteger(maxOutputTokens) || maxOutputTokens < 1 || maxOutputTokens > MAX_OUTPUT_TOKENS_LIMIT)) {
+        return `settings.maxOutputTokens must be a whole number from 1 to ${MAX_OUTPUT_TOKENS_LIMIT}`;
+    }
+    if (reasoningEffort !== undefined && !REASONING_EFFORTS.includes(reasoningEffort)) {
+        return `settings.reasoningEffort must be one of ${REASONING_EFFORTS.join(', ')}`;
+    }
+    if (stop !== undefined && (!Array.isArray(stop) || stop.length > MAX_STOP_SEQUENCES
+        || stop.some(sequence => typeof sequence !== 'string' || !sequence))) {
+        return `settings.stop must be an array of at most ${MAX_STOP_SEQUENCES} non-empty strings`;
+    }
+    return null;
+}
+
+function resolveGenerationSettings(settings) {
+    return {
+        temperature: settings?.temperature,
+        maxOutputTokens: settings?.maxOutputTokens || DEFAULT_MAX_OUTPUT_TOKENS,
+        reasoningEffort: settings?.reasoningEffort,
+        stop: settings?.stop?.length ? settings.stop : undefined
+    };
 }
 
-async function streamAnthropic(prompt, text, modelName, res, apiKey) {
-    const model = modelName || process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-6';
-
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': apiKey,
-            'anthropic-version': '2023-06-01'
-        },
-        body: JSON.stringify({
-            model,
-            max_tokens: 16000, // Increased from 8192 to allow complete responses
-            messages: [{ role: 'user', content: `${prompt}\n\n${text}` }],
-            stream: true
-        })
+// ============================================
+// USAGE ACCOUNTING
+// ============================================
+
+// Add this request's tokens to the user's running monthly total. The
+// record_llm_usage function (see AUTH-SETUP.md) increments the row atomically;
+// a failure here is logged but never fails the request.
+async function recordUsage(supabase, userId, provider, { model, usage }) {
+    if (!supabase || !userId || !usage) return;
+
+    const { error } = await supabase.rpc('record_llm_usage', {
+        p_user_id: userId,
+        p_provider: provider,
+        p_model_name: model,
+        p_input_tokens: usage.inputTokens,
+        p_output_tokens: usage.outputTokens
     });
 
-    if (!response.ok) {
-        const error = await response.json().catch(() => ({}));
-        console.error('Anthropic API error response:', JSON.stringify(error, null, 2));
-        throw new Error(`Anthropic API error: ${error.error?.message || error.message || response.statusText}`);
+    if (error) {
+        console.error('Error recording usage:', error.message);
     }
+}
 
-    // Read streaming response
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-    let buffer = '';
+// Finish the SSE stream. For structured output the complete response is validated
+// against the schema first and reported as a { status: 'validated' } event. Token
+// counts reported by the provider are sent as a { status: 'usage' } event.
+function endStream(res, { output, usage, model }, provider, jsonSchema) {
+    if (jsonSchema) {
+        const validation = validateStructuredOutput(output, jsonSchema);
+        res.write(`data: ${JSON.stringify({ status: 'validated', validation })}\n\n`);
+    }
 
-    try {
-        while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
-
-            // Use stream: true to handle multi-byte characters split across chunks
-            buffer += decoder.decode(value, { stream: true });
-            const lines = buffer.split('\n');
-
-            // Keep the last partial line in the buffer
-            buffer = lines.pop() || '';
-
-            for (const line of lines) {
-                if (line.trim() && line.startsWith('data: ')) {
-                    const data = line.slice(6).trim();
-
-                    try {
-                        const parsed = JSON.parse(data);
-
-                        // Anthropic sends content in delta events
-                        if (parsed.type === 'content_block_delta') {
-                            const content = parsed.delta?.text;
-                            if (content) {
-                                res.write(`data: ${JSON.stringify({ chunk: content })}\n\n`);
-                            }
-                        }
-                    } catch (e) {
-                        // Skip malformed JSON
-                    }
-                }
-            }
-        }
+    if (usage) {
+        res.write(`data: ${JSON.stringify({ status: 'usage', usage: { provider, model, ...usage } })}\n\n`);
+    }
 
-        // Process any remaining data in buffer
-        if (buffer.trim()) {
-            decoder.decode(); // Flush decoder
-        }
+    // Send completion signal and end response together to ensure delivery
+    res.end(`data: ${JSON.stringify({ done: true })}\n\n`);
+}
 
-        // Send completion signal and end response together to ensure delivery
-        res.end(`data: ${JSON.stringify({ done: true })}\n\n`);
-    } catch (error) {
-        console.error('Anthropic streaming error:', error);
-        throw error;
+export default async function handler(req, res) {
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
     }
-}
 
-async function streamGemini(prompt, text, modelName, res, apiKey) {
-    const model = modelName || process.env.GEMINI_MODEL || 'gemini-3-flash-preview';
-    const response = await fetch(
-        `https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?key=${apiKey}&alt=sse`,
-        {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                contents: [{ parts: [{ text: `${prompt}\n\n${text}` }] }],
-                generationConfig: {
-                    temperature: 0.7,
-                    maxOutputTokens: 16000 // Increased from 8192 for complete responses
-                }
-            })
+    try {
+        const { provider: providerId, prompt, text, modelName, jsonSchema, settings, contentLabel, messages: followUps } = req.body;
+        const isFollowUp = followUps !== undefined;
+
+        // Providers come from the adapter registry in _providers.js
+        const provider = getProvider(providerId);
+        if (!provider) {
+            return res.status(400).json({ error: `Invalid provider: ${providerId}` });
         }
-    );
 
-    if (!response.ok) {
-        const error = await response.json().catch(() => ({}));
-        throw new Error(`Gemini API error: ${error.error?.message || response.statusText}`);
-    }
+        if (!prompt || (!text && !isFollowUp)) {
+            return res.status(400).json({ error: 'Missing prompt or text' });
+        }
 
-    // Read streaming response
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-    let buffer = '';
+        // Don't bill an LLM call for a transcript with nothing in it
+        if (!isFollowUp && !text.trim()) {
+            return res.status(400).json({ error: 'Transcript text is empty' });
+        }
 
-    try {
-        while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
-
-            // Use stream: true to handle multi-byte characters split across chunks
-            buffer += decoder.decode(value, { stream: true });
-            const lines = buffer.split('\n');
-
-            // Keep the last partial line in the buffer
-            buffer = lines.pop() || '';
-
-            for (const line of lines) {
-                if (line.trim() && line.startsWith('data: ')) {
-                    const data = line.slice(6).trim();
-
-                    try {
-                        const parsed = JSON.parse(data);
-                        const content = parsed.candidates?.[0]?.content?.parts?.[0]?.text;
-                        if (content) {
-                            res.write(`data: ${JSON.stringify({ chunk: content })}\n\n`);
-                        }
-                    } catch (e) {
-                        // Skip malformed JSON
-                    }
-                }
+        if (isFollowUp) {
+            const followUpError = validateFollowUps(followUps);
+            if (followUpError) {
+                return res.status(400).json({ error: followUpError });
             }
         }
 
-        // Process any remaining data in buffer
-        if (buffer.trim()) {
-            decoder.decode(); // Flush decoder
+        const settingsError = validateGenerationSettings(settings) || validateContentLabel(contentLabel);
+        if (settingsError) {
+            return res.status(400).json({ error: settingsError });
+        }
+
+        // Initialize Supabase and check for user authentication
+        const supabase = getSupabaseClient();
+        const userId = supabase ? await verifyUserToken(supabase, req.headers.authorization) : null;
+
+        // Get API key (user's or default)
+        const { key: apiKey, isUserKey } = await getApiKey(provider, supabase, userId);
+
+        if (!apiKey && provider.requiresKey) {
+            return res.status(400).json({
+                error: `No API key configured for ${provider.label}. ${userId ? 'Add your API key in Settings.' : 'Please login and add your API key, or contact the administrator.'}`
+            });
         }
 
-        // Send completion signal and end response together to ensure delivery
-        res.end(`data: ${JSON.stringify({ done: true })}\n\n`);
+        // Set headers for streaming response
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+
+        // Send initial status immediately to flush headers to the client
+        // This lets the frontend's fetch() resolve before the LLM API responds
+        res.write(`data: ${JSON.stringify({ status: 'connected' })}\n\n`);
+
+        // If the client cancels (closes the connection) before we finish,
+        // abort the upstream provider request so it stops generating
+        const upstream = new AbortController();
+        res.on('close', () => {
+            if (!res.writableEnded) upstream.abort();
+        });
+
+        const request = {
+            ...buildMessages(prompt, text, followUps, contentLabel),
+            settings: resolveGenerationSettings(settings),
+            jsonSchema
+        };
+        const result = await streamProvider(provider, request, modelName, res, apiKey, upstream.signal);
+
+        // Record usage before ending the response - the function may be frozen once it ends
+        await recordUsage(supabase, userId, provider.id, result);
+        endStream(res, result, provider.id, jsonSchema);
     } catch (error) {
-        console.error('Gemini streaming error:', error);
-        throw error;
+        // Client went away - nobody is listening for the error
+        if (error.name === 'AbortError') {
+            res.end();
+            return;
+        }
+        console.error('LLM API Error:', error);
+        // Send error as SSE event
+        res.write(`data: ${JSON.stringify({
+            error: error.message,
+            retryable: !!error.retryable,
+            retryAfter: error.retryAfter
+        })}\n\n`);
+        res.end();
     }
 }
@@ -0,0 +1,488 @@
+// Vercel Serverless Function for Team Prompt Libraries
+// Team prompts are only reachable through this function: the team tables have Row
+// Level Security enabled with no policies, so every read and write goes through the
+// role checks below (owner > editor > viewer) rather than trusting client queries.
+
+import { createClient } from '@supabase/supabase-js';
+
+// Initialize Supabase client with service role for server-side operations
+function getSupabaseClient() {
+    const supabaseUrl = process.env.SUPABASE_URL;
+    const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+    if (!supabaseUrl || !supabaseServiceKey) {
+        return null;
+    }
+
+    return createClient(supabaseUrl, supabaseServiceKey);
+}
+
+// Verify user token and get user ID
+async function verifyUserToken(supabase, authHeader) {
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return null;
+    }
+
+    const token = authHeader.replace('Bearer ', '');
+
+    const { data: { user }, error } = await supabase.auth.getUser(token);
+
+    if (error || !user) {
+        return null;
+    }
+
+    return user.id;
+}
+
+// ============================================
+// ROLES
+// ============================================
+
+// viewer: use team prompts; editor: also create, edit and delete them;
+// owner: also manage members and delete the team
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+class TeamAccessError extends Error {
+    constructor(message, status = 403) {
+        super(message);
+        this.status = status;
+    }
+}
+
+async function getMemberRole(supabase, teamId, userId) {
+    const { data, error } = await supabase
+        .from('team_members')
+        .select('role')
+        .eq('team_id', teamId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data ? data.role : null;
+}
+
+// Throws unless userId has at least `minimumRole` in the team; returns their role
+async function requireRole(supabase, teamId, userId, minimumRole) {
+    if (!teamId) {
+        throw new TeamAccessError('Missing teamId', 400);
+    }
+
+    const role = await getMemberRole(supabase, teamId, userId);
+    if (!role) {
+        throw new TeamAccessError('You are not a member of this team');
+    }
+    if (ROLE_RANK[role] < ROLE_RANK[minimumRole]) {
+        throw new TeamAccessError(`This needs the ${minimumRole} role (you are a ${role})`);
+    }
+    return role;
+}
+
+function validateRole(role) {
+    if (!ROLE_RANK[role]) {
+        throw new TeamAccessError('Invalid role. Must be: owner, editor, or viewer', 400);
+    }
+}
+
+// A team must always keep at least one owner
+async function ensureOtherOwner(supabase, teamId, userId) {
+    const { data, error } = await supabase
+        .from('team_members')
+        .select('user_id')
+        .eq('team_id', teamId)
+        .eq('role', 'owner')
+        .neq('user_id', userId);
+
+    if (error) throw error;
+    if (data.length === 0) {
+        throw new TeamAccessError('A team needs at least one owner - make someone else an owner first', 400);
+    }
+}
+
+// The auth admin API has no lookup by email, so page through the users
+async function findUserByEmail(supabase, email) {
+    const perPage = 1000;
+    const target = email.trim().toLowerCase();
+
+    for (let page = 1; ; page++) {
+        const { data, error } = await supabase.auth.admin.listUsers({ page, perPage });
+        if (error) throw error;
+
+        const match = data.users.find(user => (user.email || '').toLowerCase() === target);
+        if (match) return match;
+        if (data.users.length < perPage) return null;
+    }
+}
+
+// ============================================
+// READS
+// ============================================
+
+function formatPrompt(prompt) {
+    return {
+        id: prompt.id,
+        teamId: prompt.team_id,
+        name: prompt.name,
+        text: prompt.text,
+        jsonSchema: prompt.json_schema || '',
+        settings: prompt.settings || null,
+        version: prompt.version || 1,
+        updatedAt: prompt.updated_at
+    };
+}
+
+// Teams the user belongs to (with their role) and every prompt in those teams
+async function listTeamsAndPrompts(supabase, userId) {
+    const { data: memberships, error } = await supabase
+        .from('team_members')
+        .select('role, teams (id, name)')
+        .eq('user_id', userId);
+
+    if (error) throw error;
+
+    const teams = memberships
+        .filter(m => m.teams)
+        .map(m => ({ id: m.teams.id, name: m.teams.name, role: m.role }));
+
+    if (teams.length === 0) {
+        return { teams, prompts: [] };
+    }
+
+    const { data: prompts, error: promptsError } = await supabase
+        .from('team_prompts')
+        .select('id, team_id, name, text, json_schema, settings, version, updated_at')
+        .in('team_id', teams.map(t => t.id))
+        .order('name');
+
+    if (promptsError) throw promptsError;
+
+    return { teams, prompts: prompts.map(formatPrompt) };
+}
+
+async function listMembers(supabase, teamId, userId) {
+    await requireRole(supabase, teamId, userId, 'viewer');
+
+    const { data, error } = await supabase
+        .from('team_members')
+        .select('user_id, role')
+        .eq('team_id', teamId);
+
+    if (error) throw error;
+
+    return Promise.all(data.map(async (member) => {
+        const { data: userData } = await supabase.auth.admin.getUserById(member.user_id);
+        return {
+            userId: member.user_id,
+            email: userData?.user?.email || '(unknown user)',
+            role: member.role
+        };
+    }));
+}
+
+async function getTeamPrompt(supabase, promptId) {
+    const { data, error } = await supabase
+        .from('team_prompts')
+        .select('*')
+        .eq('id', promptId)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw new TeamAccessError('Team prompt not found', 404);
+    return data;
+}
+
+async function listPromptVersions(supabase, promptId, userId) {
+    const prompt = await getTeamPrompt(supabase, promptId);
+    await requireRole(supabase, prompt.team_id, userId, 'viewer');
+
+    const { data, error } = await supabase
+        .from('team_prompt_versions')
+        .select('version, text, json_schema, settings, created_at')
+        .eq('prompt_id', promptId)
+        .order('version', { ascending: false });
+
+    if (error) throw error;
+
+    return data.map(v => ({
+        version: v.version,
+        text: v.text,
+        schema: v.json_schema || '',
+        settings: v.settings || null,
+        savedAt: v.created_at
+    }));
+}
+
+// ============================================
+// WRITES
+// ============================================
+
+async function createTeam(supabase, userId, { name }) {
+    if (!name || !name.trim()) {
+        throw new TeamAccessError('Missing team name', 400);
+    }
+
+    const { data, error } = await supabase
+        .from('teams')
+        .insert([{ name: name.trim(), created_by: userId }])
+        .select();
+
+    if (error) throw error;
+
+    // Without its owner row nobody could reach or delete the team, so undo the insert
+    const team = data[0];
+    const { error: memberError } = await supabase
+        .from('team_members')
+        .insert([{ team_id: team.id, user_id: userId, role: 'owner' }]);
+
+    if (memberError) {
+        const { error: cleanupError } = await supabase
+            .from('teams')
+            .delete()
+            .eq('id', team.id);
+
+        if (cleanupError) console.error('Failed to remove team without an owner:', cleanupError);
+        throw memberError;
+    }
+
+    return { team: { id: team.id, name: team.name, role: 'owner' }, message: `Team "${team.name}" created` };
+}
+
+async function deleteTeam(supabase, userId, { teamId }) {
+    await requireRole(supabase, teamId, userId, 'owner');
+
+    const { error } = await supabase
+        .from('teams')
+        .delete()
+        .eq('id', teamId);
+
+    if (error) throw error;
+    return { message: 'Team deleted' };
+}
+
+async function addMember(supabase, userId, { teamId, email, role = 'viewer' }) {
+    await requireRole(supabase, teamId, userId, 'owner');
+    validateRole(role);
+
+    if (!email) {
+        throw new TeamAccessError('Missing email', 400);
+    }
+
+    // The same reply whether or not the email has an account, so this can't be used
+    // to find out who has signed up
+    const message = `If ${email} has an account, they were added as ${role} - otherwise ask them to sign up and add them again`;
+
+    const user = await findUserByEmail(supabase, email);
+    if (!user) {
+        return { message };
+    }
+
+    // Role changes go through setMemberRole, which keeps the team's last owner.
+    // Members are already listed to the owner, so this reveals nothing new.
+    if (await getMemberRole(supabase, teamId, user.id)) {
+        throw new TeamAccessError(`${email} is already a member - change their role in the member list`, 400);
+    }
+
+    const { error } = await supabase
+        .from('team_members')
+        .insert([{ team_id: teamId, user_id: user.id, role }]);
+
+    if (error) throw error;
+    return { message };
+}
+
+async function setMemberRole(supabase, userId, { teamId, memberId, role }) {
+    await requireRole(supabase, teamId, userId, 'owner');
+    validateRole(role);
+
+    if (!await getMemberRole(supabase, teamId, memberId)) {
+        throw new TeamAccessError('Member not found in this team', 404);
+    }
+
+    if (role !== 'owner') {
+        await ensureOtherOwner(supabase, teamId, memberId);
+    }
+
+    const { error } = await supabase
+        .from('team_members')
+        .update({ role })
+        .eq('team_id', teamId)
+        .eq('user_id', memberId);
+
+    if (error) throw error;
+    return { message: `Role changed to ${role}` };
+}
+
+// Owners can remove anyone; any member can remove themselves (leave the team)
+async function removeMember(supabase, userId, { teamId, memberId }) {
+    const role = await requireRole(supabase, teamId, userId, 'viewer');
+    if (memberId !== userId && role !== 'owner') {
+        throw new TeamAccessError('Only owners can remove other members');
+    }
+
+    const memberRole = await getMemberRole(supabase, teamId, memberId);
+    if (!memberRole) {
+        throw new TeamAccessError('Member not found in this team', 404);
+    }
+    if (memberRole === 'owner') {
+        await ensureOtherOwner(supabase, teamId, memberId);
+    }
+
+    const { error } = await supabase
+        .from('team_members')
+        .delete()
+        .eq('team_id', teamId)
+        .eq('user_id', memberId);
+
+    if (error) throw error;
+    return { message: memberId === userId ? 'You left the team' : 'Member removed' };
+}
+
+// Model settings come back from JSONB with their keys reordered, so compare them sorted
+function settingsKey(settings) {
+    return settings ? JSON.stringify(Object.keys(settings).sort().map(key => [key, settings[key]])) : '';
+}
+
+// Create or update a team prompt by name. Every save is kept as a numbered version.
+async function saveTeamPrompt(supabase, userId, { teamId, name, text, jsonSchema, settings }) {
+    await requireRole(supabase, teamId, userId, 'editor');
+
+    if (!name || !text) {
+        throw new TeamAccessError('Missing name or text', 400);
+    }
+
+    const { data: existing, error: findError } = await supabase
+        .from('team_prompts')
+        .select('*')
+        .eq('team_id', teamId)
+        .eq('name', name)
+        .maybeSingle();
+
+    if (findError) throw findError;
+
+    let prompt;
+    if (existing) {
+        if (existing.text === text && (existing.json_schema || '') === (jsonSchema || '')
+            && settingsKey(existing.settings) === settingsKey(settings)) {
+            return { prompt: existing, unchanged: true, message: `No changes to "${name}"` };
+        }
+
+        const { data, error } = await supabase
+            .from('team_prompts')
+            .update({
+                text,
+                json_schema: jsonSchema || null,
+                settings: settings || null,
+                version: (existing.version || 1) + 1,
+                updated_by: userId,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', existing.id)
+            .select();
+
+        if (error) throw error;
+        prompt = data[0];
+    } else {
+        const { data, error } = await supabase
+            .from('team_prompts')
+            .insert([{ team_id: teamId, name, text, json_schema: jsonSchema || null, settings: settings || null, version: 1, updated_by: userId }])
+            .select();
+
+        if (error) throw error;
+        prompt = data[0];
+    }
+
+    const { error: versionError } = await supabase
+        .from('team_prompt_versions')
+        .insert([{ prompt_id: prompt.id, version: prompt.version, text, json_schema: jsonSchema || null, settings: settings || null, saved_by: userId }]);
+
+    if (versionError) throw versionError;
+
+    return {
+        prompt,
+        message: existing ? `Team prompt "${name}" updated (v${prompt.version})` : `Team prompt "${name}" saved`
+    };
+}
+
+async function deleteTeamPrompt(supabase, userId, { promptId }) {
+    const prompt = await getTeamPrompt(supabase, promptId);
+    await requireRole(supabase, prompt.team_id, userId, 'editor');
+
+    const { error } = await supabase
+        .from('team_prompts')
+        .delete()
+        .eq('id', promptId);
+
+    if (error) throw error;
+    return { message: `Team prompt "${prompt.name}" deleted` };
+}
+
+const ACTIONS = {
+    createTeam,
+    deleteTeam,
+    addMember,
+    setMemberRole,
+    removeMember,
+    savePrompt: saveTeamPrompt,
+    deletePrompt: deleteTeamPrompt
+};
+
+export default async function handler(req, res) {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    const supabase = getSupabaseClient();
+
+    if (!supabase) {
+        return res.status(500).json({ error: 'Database not configured' });
+    }
+
+    // Verify user authentication
+    const userId = await verifyUserToken(supabase, req.headers.authorization);
+
+    if (!userId) {
+        return res.status(401).json({ error: 'Unauthorized. Please login first.' });
+    }
+
+    try {
+        if (req.method === 'GET') {
+            const { members, teamId, versions } = req.query;
+
+            if (members) {
+                return res.status(200).json({ members: await listMembers(supabase, teamId, userId) });
+            }
+            if (versions) {
+                return res.status(200).json({ versions: await listPromptVersions(supabase, versions, userId) });
+            }
+            return res.status(200).json(await listTeamsAndPrompts(supabase, userId));
+
+        } else if (req.method === 'POST') {
+            const { action, ...params } = req.body || {};
+            const run = ACTIONS[action];
+
+            if (!run) {
+                return res.status(400).json({ error: `Unknown action: ${action}` });
+            }
+
+            const result = await run(supabase, userId, params);
+            if (result.prompt) {
+                result.prompt = formatPrompt(result.prompt);
+            }
+            return res.status(200).json({ success: true, ...result });
+
+        } else {
+            return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+    } catch (error) {
+        if (error instanceof TeamAccessError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Teams API Error:', error);
+        return res.status(500).json({ error: error.message || 'Internal server error' });
+    }
+}
@@ -29,12 +29,21 @@ if (typeof window.supabase !== 'undefined' && SUPABASE_URL && SUPABASE_ANON_KEY)
 }
 // ============================================
 
-// Hardcoded fallback model defaults (used when user has no saved defaults)
-const FALLBACK_MODELS = {
-    gemini: 'gemini-3-flash-preview',
-    openai: 'gpt-5.2',
-    anthropic: 'claude-sonnet-4-6'
-};
+// Providers this deployment offers, listed by /api/config from the adapter registry
+// in api/_providers.js. The built-in three are used if the config could not be loaded.
+const DEFAULT_PROVIDERS = [
+    { id: 'gemini', label: 'Gemini', defaultModel: 'gemini-3-flash-preview', keyPlaceholder: 'AI...', requiresKey: true },
+    { id: 'openai', label: 'OpenAI', defaultModel: 'gpt-5.2', keyPlaceholder: 'sk-...', requiresKey: true },
+    { id: 'anthropic', label: 'Claude', defaultModel: 'claude-sonnet-4-6', keyPlaceholder: 'sk-ant-...', requiresKey: true }
+];
+const PROVIDERS = window.LLM_PROVIDERS && window.LLM_PROVIDERS.length > 0 ? window.LLM_PROVIDERS : DEFAULT_PROVIDERS;
+
+// Server default model per provider (used when user has no saved defaults)
+const FALLBACK_MODELS = Object.fromEntries(PROVIDERS.map(provider => [provider.id, provider.defaultModel]));
+
+function getProviderInfo(providerId) {
+    return PROVIDERS.find(provider => provider.id === providerId) || null;
+}
 
 // State
 var uploadedFiles = [];
@@ -45,18 +54,53 @@ var isAuthMode = 'login'; // 'login' or 'signup'
 var modelDefaults = {}; // provider → model_name
 var elapsedInterval = null; // Timer interval for elapsed time display
 var cachedAccessToken = null; // Cached Supabase access token (refreshed via onAuthStateChange)
+var parseHistory = []; // Past runs loaded from Supabase or IndexedDB
 
 // DOM Elements
 const uploadZone = document.getElementById('uploadZone');
 const fileInput = document.getElementById('fileInput');
 const fileList = document.getElementById('fileList');
+const autoPromptToggle = document.getElementById('autoPromptToggle');
 const promptInput = document.getElementById('promptInput');
 const promptNameInput = document.getElementById('promptNameInput');
+const promptSchemaDetails = document.getElementById('promptSchemaDetails');
+const promptSchemaInput = document.getElementById('promptSchemaInput');
+const promptSettingsDetails = document.getElementById('promptSettingsDetails');
+const promptTemperatureInput = document.getElementById('promptTemperatureInput');
+const promptMaxTokensInput = document.getElementById('promptMaxTokensInput');
+const promptEffortSelect = document.getElementById('promptEffortSelect');
+const promptStopInput = document.getElementById('promptStopInput');
 const savedPromptsButtons = document.getElementById('savedPromptsButtons');
 const savePromptBtn = document.getElementById('savePromptBtn');
 const deletePromptBtn = document.getElementById('deletePromptBtn');
+const promptVersionsBtn = document.getElementById('promptVersionsBtn');
+const promptScopeSelect = document.getElementById('promptScopeSelect');
+const importPromptsBtn = document.getElementById('importPromptsBtn');
+const addCitationsBtn = document.getElementById('addCitationsBtn');
+const defaultUpdatesBtn = document.getElementById('defaultUpdatesBtn');
+const defaultUpdatesModal = document.getElementById('defaultUpdatesModal');
+const defaultUpdatesModalClose = document.getElementById('defaultUpdatesModalClose');
+const defaultUpdatesList = document.getElementById('defaultUpdatesList');
+const exportPromptsBtn = document.getElementById('exportPromptsBtn');
+const importPromptsInput = document.getElementById('importPromptsInput');
+const promptFileModal = document.getElementById('promptFileModal');
+const promptFileModalClose = document.getElementById('promptFileModalClose');
+const promptFileTitle = document.getElementById('promptFileTitle');
+const promptFileDescription = document.getElementById('promptFileDescription');
+const promptFileOptions = document.getElementById('promptFileOptions');
+const promptFileTable = document.getElementById('promptFileTable');
+const promptFileCancelBtn = document.getElementById('promptFileCancelBtn');
+const promptFileConfirmBtn = document.getElementById('promptFileConfirmBtn');
+const promptVersionsModal = document.getElementById('promptVersionsModal');
+const promptVersionsModalClose = document.getElementById('promptVersionsModalClose');
+const promptVersionsTitle = document.getElementById('promptVersionsTitle');
+const promptVersionsList = document.getElementById('promptVersionsList');
+const promptVersionDiff = document.getElementById('promptVersionDiff');
 const parseBtn = document.getElementById('parseBtn');
+const cancelBtn = document.getElementById('cancelBtn');
 const clearBtn = document.getElementById('clearBtn');
+const exportFormatSelect = document.getElementById('exportFormatSelect');
+const exportBtn = document.getElementById('exportBtn');
 const elapsedTimer = document.getElementById('elapsedTimer');
 const resultsContainer = document.getElementById('resultsContainer');
 const toast = document.getElementById('toast');
@@ -65,6 +109,77 @@ const toast = document.getElementById('toast');
 const providerSelect = document.getElementById('providerSelect');
 const modelInput = document.getElementById('modelInput');
 const setDefaultModelBtn = document.getElementById('setDefaultModelBtn');
+const concurrencyInput = document.getElementById('concurrencyInput');
+const transcriptFormatSelect = document.getElementById('transcriptFormatSelect');
+
+// Comparison DOM Elements
+const compareFileSelect = document.getElementById('compareFileSelect');
+const compareTargets = document.getElementById('compareTargets');
+const compareBtn = document.getElementById('compareBtn');
+const comparisonContainer = document.getElementById('comparisonContainer');
+
+// Synthesis DOM Elements
+const synthesisPromptInput = document.getElementById('synthesisPromptInput');
+const synthesisSourceSelect = document.getElementById('synthesisSourceSelect');
+const synthesizeBtn = document.getElementById('synthesizeBtn');
+const synthesisContainer = document.getElementById('synthesisContainer');
+
+// Pipeline DOM Elements
+const pipelineSelect = document.getElementById('pipelineSelect');
+const pipelineNameInput = document.getElementById('pipelineNameInput');
+const pipelineSteps = document.getElementById('pipelineSteps');
+const addPipelineStepBtn = document.getElementById('addPipelineStepBtn');
+const savePipelineBtn = document.getElementById('savePipelineBtn');
+const deletePipelineBtn = document.getElementById('deletePipelineBtn');
+
+// Template DOM Elements
+const templateModal = document.getElementById('templateModal');
+const templateModalClose = document.getElementById('templateModalClose');
+const templateValuesTable = document.getElementById('templateValuesTable');
+const templateRunBtn = document.getElementById('templateRunBtn');
+const templateCancelBtn = document.getElementById('templateCancelBtn');
+
+// History DOM Elements
+const historyBtn = document.getElementById('historyBtn');
+const historyModal = document.getElementById('historyModal');
+const historyModalClose = document.getElementById('historyModalClose');
+const usageBtn = document.getElementById('usageBtn');
+const usageModal = document.getElementById('usageModal');
+const usageModalClose = document.getElementById('usageModalClose');
+const monthlyUsageSummary = document.getElementById('monthlyUsageSummary');
+const modelPricesTable = document.getElementById('modelPricesTable');
+const addModelPriceBtn = document.getElementById('addModelPriceBtn');
+const saveModelPricesBtn = document.getElementById('saveModelPricesBtn');
+const resetModelPricesBtn = document.getElementById('resetModelPricesBtn');
+const batchUsageSummary = document.getElementById('batchUsageSummary');
+const preflightSummary = document.getElementById('preflightSummary');
+
+// PDF Viewer DOM Elements
+const pdfViewerModal = document.getElementById('pdfViewerModal');
+const pdfViewerClose = document.getElementById('pdfViewerClose');
+const pdfViewerTitle = document.getElementById('pdfViewerTitle');
+const pdfViewerNote = document.getElementById('pdfViewerNote');
+const pdfViewerCanvas = document.getElementById('pdfViewerCanvas');
+const pdfTextLayer = document.getElementById('pdfTextLayer');
+const pdfPageWrapper = document.getElementById('pdfPageWrapper');
+const pdfPagePane = document.getElementById('pdfPagePane');
+const pdfResultPane = document.getElementById('pdfResultPane');
+const pdfAsk = document.getElementById('pdfAsk');
+
+// Result Chat DOM Elements
+const chatModal = document.getElementById('chatModal');
+const chatModalClose = document.getElementById('chatModalClose');
+const chatModalTitle = document.getElementById('chatModalTitle');
+const chatContextNote = document.getElementById('chatContextNote');
+const chatResultPreview = document.getElementById('chatResultPreview');
+const chatThread = document.getElementById('chatThread');
+const chatInput = document.getElementById('chatInput');
+const chatSendBtn = document.getElementById('chatSendBtn');
+const pdfPrevPageBtn = document.getElementById('pdfPrevPageBtn');
+const pdfNextPageBtn = document.getElementById('pdfNextPageBtn');
+const pdfPageLabel = document.getElementById('pdfPageLabel');
+const historySearchInput = document.getElementById('historySearchInput');
+const historyList = document.getElementById('historyList');
 
 // Auth DOM Elements
 const authModal = document.getElementById('authModal');
@@ -86,13 +201,13 @@ const userEmail = document.getElementById('userEmail');
 const settingsBtn = document.getElementById('settingsBtn');
 const settingsModal = document.getElementById('settingsModal');
 const settingsModalClose = document.getElementById('settingsModalClose');
+const apiKeyRows = document.getElementById('apiKeyRows');
+const teamsList = document.getElementById('teamsList');
+const teamNameInput = document.getElementById('teamNameInput');
+const createTeamBtn = document.getElementById('createTeamBtn');
 
-// API Key management state
-var userApiKeys = {
-    openai: false,
-    anthropic: false,
-    gemini: false
-};
+// API Key management state: provider id → whether the user has saved a key
+var userApiKeys = {};
 
 // Toast notification helper
 let toastTimeout;
@@ -231,6 +346,8 @@ async function handleLogout() {
     currentUser = null;
     cachedAccessToken = null;
     savedPrompts = [];
+    userTeams = [];
+    teamMembersView = null;
     modelDefaults = {};
     updateSavedPromptsButtons();
     updateAuthUI();
@@ -270,14 +387,17 @@ async function loadUserPrompts() {
         return;
     }
 
-    savedPrompts = data.map(p => ({ name: p.name, text: p.text, id: p.id }));
+    savedPrompts = data.map(p => ({ name: p.name, text: p.text, schema: p.json_schema || '', settings: normalizePromptSettings(p.settings), id: p.id, version: p.version || 1, defaultBase: p.default_base || null }));
 
     // Add default prompt for new users (if they have no prompts)
     if (savedPrompts.length === 0) {
         await addDefaultPrompt();
     }
+    await syncDefaultPrompts();
 
+    await loadTeamPrompts();
     updateSavedPromptsButtons();
+    offerLocalPromptMigration();
 }
 
 // Helper function to add default prompts for authenticated users
@@ -287,7 +407,8 @@ async function addDefaultPrompt() {
     const rows = DEFAULT_PROMPTS.map(p => ({
         user_id: currentUser.id,
         name: p.name,
-        text: p.text
+        text: p.text,
+        default_base: p.text
     }));
 
     const { data, error } = await supabaseClient
@@ -302,52 +423,71 @@ async function addDefaultPrompt() {
 
     if (data) {
         data.forEach(row => {
-            savedPrompts.push({ name: row.name, text: row.text, id: row.id });
+            savedPrompts.push({ name: row.name, text: row.text, id: row.id, version: 1, defaultBase: row.default_base });
         });
     }
 }
 
-async function saveUserPrompt(name, text) {
+// Resolves to false if the prompt could not be saved (an unchanged prompt counts as saved)
+async function saveUserPrompt(name, text, schema = '', settings = null) {
     if (!supabaseClient || !currentUser) {
         // Fallback to localStorage
-        return savePromptToLocalStorage(name, text);
+        return savePromptToLocalStorage(name, text, schema, settings);
     }
 
     // Check if prompt exists
-    const existing = savedPrompts.find(p => p.name === name);
+    const existing = savedPrompts.find(p => !p.teamId && p.name === name);
 
     if (existing) {
+        if (isPromptUnchanged(existing, text, schema, settings)) {
+            showToast(`No changes to "${name}"`);
+            return true;
+        }
+
+        // Keep the pre-edit text as a version before overwriting it
+        await recordPromptVersion(existing);
+        const version = (existing.version || 1) + 1;
+
         // Update existing
         const { error } = await supabaseClient
             .from('prompts')
-            .update({ text, updated_at: new Date().toISOString() })
+            .update({ text, json_schema: schema || null, settings, version, updated_at: new Date().toISOString() })
             .eq('id', existing.id);
 
         if (error) {
             console.error('Error updating prompt:', error);
             showToast('Failed to update prompt', 'error');
-            return;
+            return false;
         }
 
-        showToast(`Prompt "${name}" updated`, 'success');
+        existing.text = text;
+        existing.schema = schema;
+        existing.settings = settings;
+        existing.version = version;
+        await recordPromptVersion(existing);
+
+        showToast(`Prompt "${name}" updated (v${version})`, 'success');
     } else {
         // Insert new
         const { data, error } = await supabaseClient
             .from('prompts')
-            .insert([{ user_id: currentUser.id, name, text }])
+            .insert([{ user_id: currentUser.id, name, text, json_schema: schema || null, settings, version: 1 }])
             .select();
 
         if (error) {
             console.error('Error saving prompt:', error);
             showToast('Failed to save prompt', 'error');
-            return;
+            return false;
         }
 
-        savedPrompts.push({ name, text, id: data[0].id });
+        const prompt = { name, text, schema, settings, id: data[0].id, version: 1 };
+        savedPrompts.push(prompt);
+        await recordPromptVersion(prompt);
         showToast(`Prompt "${name}" saved`, 'success');
     }
 
     updateSavedPromptsButtons();
+    return true;
 }
 
 async function deleteUserPrompt(name) {
@@ -356,7 +496,7 @@ async function deleteUserPrompt(name) {
         return deletePromptFromLocalStorage(name);
     }
 
-    const prompt = savedPrompts.find(p => p.name === name);
+    const prompt = savedPrompts.find(p => !p.teamId && p.name === name);
     if (!prompt) {
         showToast(`No prompt named "${name}" found`, 'error');
         return;
@@ -377,24 +517,47 @@ async function deleteUserPrompt(name) {
     updateSavedPromptsButtons();
     promptNameInput.value = '';
     promptInput.value = '';
+    setPromptSchema('');
+    setPromptSettings(null);
     showToast(`Prompt "${name}" deleted`, 'success');
 }
 
-function savePromptToLocalStorage(name, text) {
-    const existingIndex = savedPrompts.findIndex(p => p.name === name);
-    if (existingIndex !== -1) {
-        savedPrompts[existingIndex].text = text;
-        showToast(`Prompt "${name}" updated`, 'success');
+function savePromptToLocalStorage(name, text, schema = '', settings = null) {
+    const existing = savedPrompts.find(p => !p.teamId && p.name === name);
+    if (existing) {
+        if (isPromptUnchanged(existing, text, schema, settings)) {
+            showToast(`No changes to "${name}"`);
+            return true;
+        }
+        // Keep the pre-edit text as a version before overwriting it
+        recordPromptVersion(existing);
+        existing.text = text;
+        existing.schema = schema;
+        existing.settings = settings;
+        existing.version = (existing.version || 1) + 1;
+        recordPromptVersion(existing);
+        showToast(`Prompt "${name}" updated (v${existing.version})`, 'success');
     } else {
-        savedPrompts.push({ name, text });
+        const prompt = { name, text, schema, settings, version: 1 };
+        savedPrompts.push(prompt);
+        recordPromptVersion(prompt);
         showToast(`Prompt "${name}" saved`, 'success');
     }
-    localStorage.setItem('savedPrompts', JSON.stringify(savedPrompts));
     updateSavedPromptsButtons();
+
+    try {
+        localStorage.setItem('savedPrompts', JSON.stringify(savedPrompts));
+    } catch (error) {
+        // Usually the storage quota; the prompt still works until the page is reloaded
+        console.error('Error saving prompts to localStorage:', error);
+        showToast(`Could not store "${name}" in this browser`, 'error');
+        return false;
+    }
+    return true;
 }
 
 function deletePromptFromLocalStorage(name) {
-    const index = savedPrompts.findIndex(p => p.name === name);
+    const index = savedPrompts.findIndex(p => !p.teamId && p.name === name);
     if (index === -1) {
         showToast(`No prompt named "${name}" found`, 'error');
         return;
@@ -402,715 +565,5356 @@ function deletePromptFromLocalStorage(name) {
 
     savedPrompts.splice(index, 1);
     localStorage.setItem('savedPrompts', JSON.stringify(savedPrompts));
+    const versions = loadLocalPromptVersions();
+    delete versions[name];
+    saveLocalPromptVersions(versions);
     updateSavedPromptsButtons();
     promptNameInput.value = '';
     promptInput.value = '';
+    setPromptSchema('');
+    setPromptSettings(null);
     showToast(`Prompt "${name}" deleted`, 'success');
 }
 
 // ============================================
-// API KEY MANAGEMENT FUNCTIONS
+// PROMPT VERSION HISTORY
 // ============================================
 
-// Get the current user's access token for API calls
-// Uses cached token from onAuthStateChange instead of calling getSession()
-// which can hang when the Supabase SDK's background refresh gets stuck
-function getAuthToken() {
-    if (!currentUser) return null;
-    return cachedAccessToken || null;
+// Every save of a prompt is kept as a numbered version: in the prompt_versions table
+// for logged-in users, or in localStorage (keyed by prompt name) otherwise. Prompts
+// saved before versioning get their pre-edit text recorded on their next save.
+
+var promptVersionsView = null; // { prompt, versions } shown in the versions modal
+
+function isPromptUnchanged(prompt, text, schema, settings) {
+    return prompt.text === text && (prompt.schema || '') === (schema || '')
+        && isSamePromptSettings(prompt.settings, settings);
 }
 
-// ============================================
-// MODEL DEFAULTS FUNCTIONS
-// ============================================
+// Version of the saved prompt `name` whose text is exactly `text`, or null
+// (unsaved edits, or a prompt that was never saved)
+function getSavedPromptVersion(name, text) {
+    const prompt = findPromptByInputName(name);
+    return prompt && prompt.text === text ? prompt.version || 1 : null;
+}
+
+// "Earnings Summary v3", or just the name when the text did not match a saved version
+function formatPromptLabel(promptName, promptVersion) {
+    if (!promptName) return 'Untitled prompt';
+    return promptVersion ? `${promptName} v${promptVersion}` : promptName;
+}
+
+function loadLocalPromptVersions() {
+    try {
+        return JSON.parse(localStorage.getItem('promptVersions') || '{}');
+    } catch (e) {
+        return {};
+    }
+}
+
+function saveLocalPromptVersions(versions) {
+    localStorage.setItem('promptVersions', JSON.stringify(versions));
+}
+
+// Store the prompt's current text as its current version number. Recording the same
+// version twice is a no-op, so this is safe to call before every overwrite.
+async function recordPromptVersion(prompt) {
+    const version = prompt.version || 1;
 
-async function loadModelDefaults() {
     if (supabaseClient && currentUser) {
-        // Load from Supabase
-        try {
-            const { data, error } = await supabaseClient
-                .from('user_model_defaults')
-                .select('provider, model_name')
-                .eq('user_id', currentUser.id);
+        const { error } = await supabaseClient
+            .from('prompt_versions')
+            .upsert([{
+                prompt_id: prompt.id,
+                user_id: currentUser.id,
+                version,
+                text: prompt.text,
+                json_schema: prompt.schema || null,
+                settings: prompt.settings || null
+            }], { onConflict: 'prompt_id,version', ignoreDuplicates: true });
 
-            if (!error && data) {
-                modelDefaults = {};
-                data.forEach(row => {
-                    modelDefaults[row.provider] = row.model_name;
-                });
-                return;
-            }
-        } catch (e) {
-            console.warn('Could not load model defaults from database, using localStorage');
+        if (error) {
+            console.error('Error saving prompt version:', error);
+            showToast('Prompt saved, but its version history could not be updated', 'warning');
         }
+        return;
     }
 
-    // Fallback to localStorage
-    const saved = localStorage.getItem('modelDefaults');
-    if (saved) {
-        try {
-            modelDefaults = JSON.parse(saved);
-        } catch (e) {
-            modelDefaults = {};
-        }
-    } else {
-        modelDefaults = {};
+    const versions = loadLocalPromptVersions();
+    const list = versions[prompt.name] || [];
+    if (!list.some(v => v.version === version)) {
+        list.push({ version, text: prompt.text, schema: prompt.schema || '', settings: prompt.settings || null, savedAt: new Date().toISOString() });
+        versions[prompt.name] = list;
+        saveLocalPromptVersions(versions);
     }
 }
 
-async function saveModelDefault(provider, modelName) {
-    modelDefaults[provider] = modelName;
+// Newest first. A prompt with no stored versions shows just its current text.
+async function loadPromptVersions(prompt) {
+    let versions = [];
 
-    if (supabaseClient && currentUser) {
-        // Upsert to Supabase
+    if (prompt.teamId) {
         try {
-            const { error } = await supabaseClient
-                .from('user_model_defaults')
-                .upsert({
-                    user_id: currentUser.id,
-                    provider: provider,
-                    model_name: modelName,
-                    updated_at: new Date().toISOString()
-                }, { onConflict: 'user_id,provider' });
+            versions = (await teamsApiRequest('GET', { versions: prompt.id })).versions;
+        } catch (error) {
+            console.error('Error loading team prompt versions:', error);
+            showToast(error.message || 'Failed to load prompt versions', 'error');
+        }
+    } else if (supabaseClient && currentUser) {
+        const { data, error } = await supabaseClient
+            .from('prompt_versions')
+            .select('*')
+            .eq('prompt_id', prompt.id)
+            .order('version', { ascending: false });
 
-            if (error) {
-                console.error('Error saving model default:', error);
-                showToast('Failed to save model default', 'error');
-                return;
-            }
-        } catch (e) {
-            console.error('Error saving model default:', e);
+        if (error) {
+            console.error('Error loading prompt versions:', error);
+            showToast('Failed to load prompt versions', 'error');
+        } else {
+            versions = data.map(row => ({ version: row.version, text: row.text, schema: row.json_schema || '', settings: normalizePromptSettings(row.settings), savedAt: row.created_at }));
         }
     } else {
-        // Save to localStorage
-        localStorage.setItem('modelDefaults', JSON.stringify(modelDefaults));
+        versions = [...(loadLocalPromptVersions()[prompt.name] || [])].sort((a, b) => b.version - a.version);
     }
 
-    showToast(`Default model for ${provider} set to "${modelName}"`, 'success');
+    if (!versions.some(v => v.version === (prompt.version || 1))) {
+        versions.unshift({ version: prompt.version || 1, text: prompt.text, schema: prompt.schema || '', settings: prompt.settings || null, savedAt: null });
+    }
+    return versions;
 }
 
-function applyModelDefault() {
-    const provider = providerSelect.value;
-    modelInput.value = modelDefaults[provider] || FALLBACK_MODELS[provider] || '';
+async function openPromptVersionsModal() {
+    const prompt = findPromptByInputName(promptNameInput.value.trim());
+    if (!prompt) {
+        showToast('Select a saved prompt to see its versions', 'warning');
+        return;
+    }
+
+    promptVersionsTitle.textContent = `Versions of "${getPromptLabel(prompt)}"`;
+    promptVersionsList.innerHTML = '<p class="empty-state">Loading versions...</p>';
+    promptVersionDiff.innerHTML = '';
+    promptVersionsModal.classList.add('visible');
+
+    promptVersionsView = { prompt, versions: await loadPromptVersions(prompt) };
+    renderPromptVersions();
 }
 
-// Get API endpoint URL for keys
-function getKeysApiUrl() {
-    return window.location.hostname === 'localhost'
-        ? 'http://localhost:3000/api/keys'
-        : '/api/keys';
+function closePromptVersionsModal() {
+    promptVersionsModal.classList.remove('visible');
+    promptVersionsView = null;
 }
 
-// Open settings modal
-function openSettingsModal() {
-    settingsModal.classList.add('visible');
-    loadUserApiKeyStatus();
+function renderPromptVersions() {
+    const { prompt, versions } = promptVersionsView;
+    const current = prompt.version || 1;
+
+    promptVersionsList.innerHTML = versions.map(v => `
+        <div class="history-item">
+            <div class="history-item-info">
+                <span class="result-filename">v${v.version}${v.version === current ? ' (current)' : ''}</span>
+                <span class="history-meta">${v.savedAt ? new Date(v.savedAt).toLocaleString() : 'Saved before version history'}</span>
+            </div>
+            <div class="result-actions">
+                <button class="btn btn-small prompt-version-diff-btn" data-version="${v.version}">Changes</button>
+                ${v.version !== current && canEditPrompt(prompt) ? `
+                    <button class="btn btn-small btn-primary prompt-version-restore-btn" data-version="${v.version}">Restore</button>
+                ` : ''}
+            </div>
+        </div>
+    `).join('');
 }
 
-// Close settings modal
-function closeSettingsModal() {
-    settingsModal.classList.remove('visible');
-    // Clear input fields
-    document.getElementById('openaiKeyInput').value = '';
-    document.getElementById('anthropicKeyInput').value = '';
-    document.getElementById('geminiKeyInput').value = '';
+// Word diff of a version against the version before it
+function showPromptVersionDiff(version) {
+    const { versions } = promptVersionsView;
+    const index = versions.findIndex(v => v.version === version);
+    const selected = versions[index];
+    const previous = versions[index + 1];
+
+    if (!previous) {
+        promptVersionDiff.innerHTML = `
+            <h3 class="settings-section-title">v${selected.version}</h3>
+            <div class="prompt-version-text">${escapeHtml(selected.text)}</div>
+        `;
+        return;
+    }
+
+    const schemaChanged = (previous.schema || '') !== (selected.schema || '');
+    const settingsChanged = !isSamePromptSettings(previous.settings, selected.settings);
+    promptVersionDiff.innerHTML = `
+        <h3 class="settings-section-title">Changes from v${previous.version} to v${selected.version}</h3>
+        ${schemaChanged ? '<p class="history-meta">The JSON schema also changed.</p>' : ''}
+        ${settingsChanged ? `<p class="history-meta">Model settings changed: ${escapeHtml(formatPromptSettings(previous.settings))} → ${escapeHtml(formatPromptSettings(selected.settings))}</p>` : ''}
+        <div class="prompt-version-text diff-view">${renderWordDiff(previous.text, selected.text)}</div>
+    `;
 }
 
-// Load user's API key status (which providers have keys configured)
-async function loadUserApiKeyStatus() {
-    if (!currentUser) return;
+// Restoring saves the old text as a new version, so nothing is ever lost
+async function restorePromptVersion(version) {
+    const { prompt, versions } = promptVersionsView;
+    const selected = versions.find(v => v.version === version);
 
-    const token = await getAuthToken();
-    if (!token) return;
+    if (prompt.teamId) {
+        await saveTeamPrompt(userTeams.find(t => t.id === prompt.teamId), prompt.baseName, selected.text, selected.schema, selected.settings);
+    } else {
+        await saveUserPrompt(prompt.name, selected.text, selected.schema, selected.settings);
+    }
+    loadPromptByName(prompt.name);
 
-    try {
-        const response = await fetch(getKeysApiUrl(), {
-            method: 'GET',
-            headers: {
-                'Authorization': `Bearer ${token}`
-            }
-        });
+    promptVersionsView.versions = await loadPromptVersions(prompt);
+    renderPromptVersions();
+    promptVersionDiff.innerHTML = '';
+}
 
-        if (!response.ok) {
-            throw new Error('Failed to load API key status');
-        }
+// ============================================
+// TEAM PROMPT LIBRARY
+// ============================================
 
-        const data = await response.json();
+// Team prompts live alongside personal prompts in savedPrompts, keyed by
+// "Team name/Prompt name" so they never collide with a personal prompt of the
+// same name. All team reads and writes go through api/teams.js, which checks the
+// caller's role (owner, editor or viewer); the client-side checks here only
+// decide which buttons to offer.
 
-        // Reset status
-        userApiKeys = { openai: false, anthropic: false, gemini: false };
+var userTeams = []; // [{ id, name, role }]
+var loadedPromptName = null; // savedPrompts key of the prompt last loaded into the editor
+var teamMembersView = null; // { teamId, members } expanded in the settings modal
 
-        // Update status from response
-        if (data.keys) {
-            data.keys.forEach(key => {
-                userApiKeys[key.provider] = true;
-            });
-        }
+const TEAM_ROLES = ['owner', 'editor', 'viewer'];
 
-        updateApiKeyStatusUI();
-    } catch (error) {
-        console.error('Error loading API key status:', error);
+function getTeamsApiUrl() {
+    return window.location.hostname === 'localhost'
+        ? 'http://localhost:3000/api/teams'
+        : '/api/teams';
+}
+
+// GET takes query params, POST takes { action, ...params }. Throws with the API's error message.
+async function teamsApiRequest(method, params = {}) {
+    const token = await getAuthToken();
+    if (!token) throw new Error('Please login first');
+
+    let url = getTeamsApiUrl();
+    const options = { method, headers: { 'Authorization': `Bearer ${token}` } };
+
+    if (method === 'GET') {
+        const query = new URLSearchParams(params).toString();
+        if (query) url += `?${query}`;
+    } else {
+        options.headers['Content-Type'] = 'application/json';
+        options.body = JSON.stringify(params);
+    }
+
+    const response = await fetch(url, options);
+    const data = await response.json();
+
+    if (!response.ok) {
+        throw new Error(data.error || 'Team request failed');
     }
+    return data;
 }
 
-// Update the UI to show which keys are configured
-function updateApiKeyStatusUI() {
-    const providers = ['openai', 'anthropic', 'gemini'];
+// Team prompts are keyed by team id, so teams with the same name (or a personal
+// prompt called "Team/Prompt") never overwrite each other; label is what users see
+function getTeamPromptKey(teamId, promptName) {
+    return `team:${teamId}:${promptName}`;
+}
 
-    providers.forEach(provider => {
-        const statusEl = document.getElementById(`${provider}KeyStatus`);
-        if (statusEl) {
-            if (userApiKeys[provider]) {
-                statusEl.textContent = 'Configured';
-                statusEl.className = 'api-key-status configured';
-            } else {
-                statusEl.textContent = 'Not configured';
-                statusEl.className = 'api-key-status not-configured';
-            }
-        }
-    });
+function toSavedTeamPrompt(prompt, team) {
+    return {
+        name: getTeamPromptKey(team.id, prompt.name),
+        label: `${team.name}/${prompt.name}`,
+        baseName: prompt.name,
+        text: prompt.text,
+        schema: prompt.jsonSchema || '',
+        settings: normalizePromptSettings(prompt.settings),
+        id: prompt.id,
+        version: prompt.version || 1,
+        teamId: team.id,
+        teamName: team.name,
+        role: team.role
+    };
 }
 
-// Save an API key
-async function saveApiKey(provider) {
-    const inputEl = document.getElementById(`${provider}KeyInput`);
-    const apiKey = inputEl.value.trim();
+function canEditPrompt(prompt) {
+    return !prompt.teamId || prompt.role !== 'viewer';
+}
 
-    if (!apiKey) {
-        showToast('Please enter an API key', 'warning');
-        return;
-    }
+// Replace the team prompts in savedPrompts with a fresh copy from the API.
+// Teams are optional: if the team tables are not set up, only personal prompts show.
+async function loadTeamPrompts() {
+    savedPrompts = savedPrompts.filter(p => !p.teamId);
+    userTeams = [];
 
-    const token = await getAuthToken();
-    if (!token) {
-        showToast('Please login first', 'error');
+    if (!currentUser) {
+        updatePromptScopeSelect();
         return;
     }
 
     try {
-        const response = await fetch(getKeysApiUrl(), {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${token}`
-            },
-            body: JSON.stringify({ provider, apiKey })
+        const data = await teamsApiRequest('GET');
+        userTeams = data.teams;
+        data.prompts.forEach(prompt => {
+            const team = userTeams.find(t => t.id === prompt.teamId);
+            if (team) savedPrompts.push(toSavedTeamPrompt(prompt, team));
         });
-
-        const data = await response.json();
-
-        if (!response.ok) {
-            throw new Error(data.error || 'Failed to save API key');
-        }
-
-        showToast(data.message || `${provider} API key saved`, 'success');
-        inputEl.value = '';
-        userApiKeys[provider] = true;
-        updateApiKeyStatusUI();
     } catch (error) {
-        console.error('Error saving API key:', error);
-        showToast(error.message || 'Failed to save API key', 'error');
+        console.warn('Team prompts unavailable:', error.message);
     }
+
+    updatePromptScopeSelect();
 }
 
-// Delete an API key
-async function deleteApiKey(provider) {
-    const token = await getAuthToken();
-    if (!token) {
-        showToast('Please login first', 'error');
-        return;
-    }
+async function refreshTeams() {
+    await loadTeamPrompts();
+    updateSavedPromptsButtons();
+    renderTeamsSettings();
+}
 
-    if (!userApiKeys[provider]) {
-        showToast(`No ${provider} API key to delete`, 'warning');
-        return;
-    }
+// "Save to" lists Personal plus every team the user can edit; hidden without teams
+function updatePromptScopeSelect() {
+    const editableTeams = userTeams.filter(t => t.role !== 'viewer');
+    const current = promptScopeSelect.value;
 
-    try {
-        const response = await fetch(getKeysApiUrl(), {
-            method: 'DELETE',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${token}`
-            },
-            body: JSON.stringify({ provider })
-        });
+    promptScopeSelect.innerHTML = '<option value="">Personal</option>' + editableTeams.map(team =>
+        `<option value="${escapeHtml(team.id)}">Team: ${escapeHtml(team.name)}</option>`
+    ).join('');
+    promptScopeSelect.value = editableTeams.some(t => t.id === current) ? current : '';
+    promptScopeSelect.style.display = editableTeams.length > 0 ? '' : 'none';
+}
 
-        const data = await response.json();
+function getSaveTargetTeam() {
+    return userTeams.find(t => t.id === promptScopeSelect.value) || null;
+}
 
-        if (!response.ok) {
-            throw new Error(data.error || 'Failed to delete API key');
-        }
+// Returns the saved prompt's key (for loadPromptByName), or null if nothing was saved
+async function saveTeamPrompt(team, name, text, schema = '', settings = null) {
+    // Saving a loaded team prompt keeps its name, not the "Team/" label
+    const prefix = `${team.name}/`;
+    const baseName = name.startsWith(prefix) ? name.slice(prefix.length) : name;
 
-        showToast(data.message || `${provider} API key deleted`, 'success');
-        userApiKeys[provider] = false;
-        updateApiKeyStatusUI();
+    try {
+        const data = await teamsApiRequest('POST', { action: 'savePrompt', teamId: team.id, name: baseName, text, jsonSchema: schema, settings });
+        const saved = toSavedTeamPrompt(data.prompt, team);
+
+        savedPrompts = savedPrompts.filter(p => p.id !== saved.id);
+        savedPrompts.push(saved);
+        updateSavedPromptsButtons();
+        showToast(data.message, data.unchanged ? 'info' : 'success');
+        return saved.name;
     } catch (error) {
-        console.error('Error deleting API key:', error);
-        showToast(error.message || 'Failed to delete API key', 'error');
+        console.error('Error saving team prompt:', error);
+        showToast(error.message || 'Failed to save team prompt', 'error');
+        return null;
     }
 }
 
-// ============================================
-// INITIALIZE
-// ============================================
-
-async function init() {
-    // Configure PDF.js worker
-    if (typeof pdfjsLib !== 'undefined') {
-        pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
+async function deleteTeamPrompt(prompt) {
+    if (!canEditPrompt(prompt)) {
+        showToast(`You have view-only access to team "${prompt.teamName}"`, 'warning');
+        return;
     }
 
-    // Load default prompts from text file
     try {
-        const resp = await fetch('./default-prompts.txt');
-        if (resp.ok) {
-            const raw = await resp.text();
-            DEFAULT_PROMPTS = raw.split('===PROMPT===')
-                .filter(s => s.trim())
-                .map(block => {
-                    const sepIndex = block.indexOf('---\n');
-                    const name = block.substring(0, sepIndex).trim();
-                    const text = block.substring(sepIndex + 4).trimEnd();
-                    return { name, text };
-                });
-        }
-    } catch (e) {
-        console.warn('Could not load default prompts:', e);
+        const data = await teamsApiRequest('POST', { action: 'deletePrompt', promptId: prompt.id });
+        savedPrompts = savedPrompts.filter(p => p.id !== prompt.id);
+        updateSavedPromptsButtons();
+        promptNameInput.value = '';
+        promptInput.value = '';
+        setPromptSchema('');
+        setPromptSettings(null);
+        showToast(data.message, 'success');
+    } catch (error) {
+        console.error('Error deleting team prompt:', error);
+        showToast(error.message || 'Failed to delete team prompt', 'error');
     }
+}
 
-    setupEventListeners();
-    await checkAuth(); // Load user auth and prompts
-    await loadModelDefaults();
-    applyModelDefault();
-    updateSavedPromptsButtons(); // Initialize buttons even if empty
-    updateUI();
+function renderTeamsSettings() {
+    if (!currentUser) {
+        teamsList.innerHTML = '<p class="empty-state">Login to create or join a team</p>';
+        return;
+    }
 
-    // Listen for auth state changes
-    if (supabaseClient) {
-        supabaseClient.auth.onAuthStateChange(async (event, session) => {
-            if (event === 'SIGNED_IN' || event === 'TOKEN_REFRESHED') {
-                currentUser = session.user;
-                cachedAccessToken = session.access_token;
-                if (event === 'SIGNED_IN') {
-                    await loadUserPrompts();
-                    await loadModelDefaults();
-                    applyModelDefault();
-                    updateAuthUI();
-                }
-            } else if (event === 'SIGNED_OUT') {
-                currentUser = null;
-                cachedAccessToken = null;
-                savedPrompts = [];
-                modelDefaults = {};
-                updateSavedPromptsButtons();
-                updateAuthUI();
-                loadModelDefaults().then(() => applyModelDefault());
-            }
-        });
+    if (userTeams.length === 0) {
+        teamsList.innerHTML = '<p class="empty-state">You are not in any teams yet</p>';
+        return;
     }
+
+    teamsList.innerHTML = userTeams.map(team => {
+        const isOwner = team.role === 'owner';
+        const expanded = teamMembersView && teamMembersView.teamId === team.id;
+        return `
+            <div class="api-key-row">
+                <div class="api-key-provider">
+                    <label>${escapeHtml(team.name)}</label>
+                    <span class="api-key-status team-role">${escapeHtml(team.role)}</span>
+                    <div class="result-actions">
+                        <button class="btn btn-small team-members-btn" data-team="${team.id}">${expanded ? 'Hide members' : 'Members'}</button>
+                        <button class="btn btn-small btn-secondary team-leave-btn" data-team="${team.id}">Leave</button>
+                        ${isOwner ? `<button class="btn btn-small btn-danger team-delete-btn" data-team="${team.id}">Delete team</button>` : ''}
+                    </div>
+                </div>
+                ${expanded ? renderTeamMembers(team) : ''}
+            </div>
+        `;
+    }).join('');
 }
 
-// Event Listeners
-function setupEventListeners() {
-    // Upload zone click
-    uploadZone.addEventListener('click', () => fileInput.click());
+function renderTeamMembers(team) {
+    const isOwner = team.role === 'owner';
+    const roleOptions = (selected) => TEAM_ROLES.map(role =>
+        `<option value="${role}"${role === selected ? ' selected' : ''}>${role}</option>`
+    ).join('');
+
+    return `
+        <div class="team-members">
+            ${teamMembersView.members.map(member => `
+                <div class="team-member-row">
+                    <span class="team-member-email">${escapeHtml(member.email)}${member.userId === currentUser.id ? ' (you)' : ''}</span>
+                    ${isOwner ? `
+                        <select class="form-control team-role-select" data-team="${team.id}" data-member="${member.userId}">${roleOptions(member.role)}</select>
+                        ${member.userId !== currentUser.id ? `<button class="btn btn-small btn-danger team-remove-btn" data-team="${team.id}" data-member="${member.userId}">Remove</button>` : ''}
+                    ` : `<span class="history-meta">${escapeHtml(member.role)}</span>`}
+                </div>
+            `).join('')}
+            ${isOwner ? `
+                <div class="api-key-input-group">
+                    <input type="email" class="form-control team-invite-email" data-team="${team.id}" placeholder="teammate@example.com">
+                    <select class="form-control team-invite-role" data-team="${team.id}">${roleOptions('viewer')}</select>
+                    <button class="btn btn-small btn-primary team-add-btn" data-team="${team.id}">Add</button>
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
 
-    // File input change
-    fileInput.addEventListener('change', handleFileSelect);
+async function toggleTeamMembers(teamId) {
+    if (teamMembersView && teamMembersView.teamId === teamId) {
+        teamMembersView = null;
+        renderTeamsSettings();
+        return;
+    }
 
-    // Drag and drop
-    uploadZone.addEventListener('dragover', handleDragOver);
-    uploadZone.addEventListener('dragleave', handleDragLeave);
-    uploadZone.addEventListener('drop', handleDrop);
+    try {
+        const data = await teamsApiRequest('GET', { members: 1, teamId });
+        teamMembersView = { teamId, members: data.members };
+        renderTeamsSettings();
+    } catch (error) {
+        console.error('Error loading team members:', error);
+        showToast(error.message || 'Failed to load team members', 'error');
+    }
+}
 
-    // Prompt management
-    savePromptBtn.addEventListener('click', handleSavePrompt);
-    deletePromptBtn.addEventListener('click', handleDeletePrompt);
+// Run a team action, then reload teams, prompts and (if open) the member list
+async function runTeamAction(params) {
+    try {
+        const data = await teamsApiRequest('POST', params);
+        showToast(data.message, 'success');
+    } catch (error) {
+        console.error(`Error running team action ${params.action}:`, error);
+        showToast(error.message || 'Team action failed', 'error');
+    }
 
-    // Event delegation for file list remove buttons
-    fileList.addEventListener('click', (e) => {
-        if (e.target.classList.contains('file-remove')) {
-            const index = parseInt(e.target.dataset.index);
-            removeFileByIndex(index);
+    const openTeamId = teamMembersView && teamMembersView.teamId;
+    teamMembersView = null;
+    await refreshTeams();
+    if (openTeamId && userTeams.some(t => t.id === openTeamId)) {
+        await toggleTeamMembers(openTeamId);
+    }
+}
+
+async function handleCreateTeam() {
+    const name = teamNameInput.value.trim();
+    if (!name) {
+        showToast('Please enter a team name', 'warning');
+        return;
+    }
+
+    await runTeamAction({ action: 'createTeam', name });
+    teamNameInput.value = '';
+}
+
+function handleTeamsListClick(e) {
+    const teamId = e.target.dataset.team;
+    if (!teamId) return;
+    const team = userTeams.find(t => t.id === teamId);
+
+    if (e.target.classList.contains('team-members-btn')) {
+        toggleTeamMembers(teamId);
+    } else if (e.target.classList.contains('team-add-btn')) {
+        const email = teamsList.querySelector(`.team-invite-email[data-team="${teamId}"]`).value.trim();
+        const role = teamsList.querySelector(`.team-invite-role[data-team="${teamId}"]`).value;
+        if (!email) {
+            showToast('Please enter an email address', 'warning');
+            return;
         }
-    });
+        runTeamAction({ action: 'addMember', teamId, email, role });
+    } else if (e.target.classList.contains('team-remove-btn')) {
+        runTeamAction({ action: 'removeMember', teamId, memberId: e.target.dataset.member });
+    } else if (e.target.classList.contains('team-leave-btn')) {
+        if (confirm(`Leave team "${team.name}"? You will lose access to its prompts.`)) {
+            runTeamAction({ action: 'removeMember', teamId, memberId: currentUser.id });
+        }
+    } else if (e.target.classList.contains('team-delete-btn')) {
+        if (confirm(`Delete team "${team.name}" and all of its prompts for every member?`)) {
+            runTeamAction({ action: 'deleteTeam', teamId });
+        }
+    }
+}
 
-    // Event delegation for saved prompt buttons
-    savedPromptsButtons.addEventListener('click', (e) => {
-        if (e.target.classList.contains('prompt-button')) {
-            const promptName = e.target.dataset.promptname;
-            loadPromptByName(promptName);
+// ============================================
+// PROMPT IMPORT / EXPORT
+// ============================================
+
+// Prompts move between browsers, accounts and colleagues as files: JSON (keeps
+// JSON schemas) or the ===PROMPT=== text format used by default-prompts.txt.
+// Imports always go into the personal library.
+
+const PROMPT_FILE_FORMAT = 'transcript-parser-prompts';
+const PROMPT_CONFLICT_ACTIONS = { skip: 'Skip', overwrite: 'Overwrite', rename: 'Keep both (rename)' };
+
+var promptFileView = null; // { mode: 'export' | 'import' | 'migrate', items }
+
+// "===PROMPT===\nName\n---\nText" blocks, as in default-prompts.txt
+function parsePromptBlocks(raw) {
+    return raw.replace(/\r\n/g, '\n').split('===PROMPT===')
+        .filter(s => s.trim())
+        .map(block => {
+            const sepIndex = block.indexOf('---\n');
+            if (sepIndex === -1) return null;
+            const name = block.substring(0, sepIndex).trim();
+            const text = block.substring(sepIndex + 4).trimEnd();
+            return { name, text };
+        })
+        .filter(p => p && p.name && p.text);
+}
+
+function formatPromptBlocks(prompts) {
+    return prompts.map(p => `===PROMPT===\n${p.name}\n---\n${p.text}\n`).join('\n');
+}
+
+// Accepts our JSON export, a bare JSON array of { name, text, schema, settings }, or ===PROMPT=== text
+function parsePromptFile(raw) {
+    const trimmed = raw.trim();
+    let prompts;
+
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        let data;
+        try {
+            data = JSON.parse(trimmed);
+        } catch (e) {
+            throw new Error(`Not valid JSON: ${e.message}`);
+        }
+        const list = Array.isArray(data) ? data : data.prompts;
+        if (!Array.isArray(list)) {
+            throw new Error('JSON file has no "prompts" list');
         }
+        prompts = list
+            .filter(p => p && typeof p.name === 'string' && typeof p.text === 'string')
+            .map(p => ({
+                name: p.name.trim(),
+                text: p.text,
+                schema: typeof p.schema === 'string' ? p.schema : '',
+                settings: normalizePromptSettings(p.settings)
+            }))
+            .filter(p => p.name && p.text.trim());
+    } else {
+        prompts = parsePromptBlocks(raw).map(p => ({ ...p, schema: '', settings: null }));
+    }
+
+    if (prompts.length === 0) {
+        throw new Error('No prompts found in this file');
+    }
+    return prompts;
+}
+
+// "Name (2)", "Name (3)"... - the first name not already saved
+function getUniquePromptName(name) {
+    const taken = new Set(savedPrompts.map(p => p.name));
+    let n = 2;
+    while (taken.has(`${name} (${n})`)) n++;
+    return `${name} (${n})`;
+}
+
+// Pair incoming prompts with any personal prompt of the same name.
+// Identical prompts start unticked; other conflicts default to skip.
+function buildImportItems(prompts) {
+    return prompts.map(prompt => {
+        const existing = savedPrompts.find(p => !p.teamId && p.name === prompt.name);
+        const identical = !!existing && isPromptUnchanged(existing, prompt.text, prompt.schema, prompt.settings);
+        return { ...prompt, existing, identical, selected: !identical, action: existing ? 'skip' : null };
     });
+}
 
-    // Event delegation for result preview and copy buttons
-    resultsContainer.addEventListener('click', (e) => {
-        if (e.target.classList.contains('preview-btn')) {
-            const index = parseInt(e.target.dataset.index);
-            togglePreview(index);
-        } else if (e.target.classList.contains('copy-btn')) {
-            const index = parseInt(e.target.dataset.index);
-            copyToClipboard(index);
+function openPromptExport() {
+    if (savedPrompts.length === 0) {
+        showToast('No saved prompts to export', 'warning');
+        return;
+    }
+
+    const items = [...savedPrompts]
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(prompt => ({ prompt, selected: true }));
+    promptFileView = { mode: 'export', items };
+    renderPromptFileModal();
+    promptFileModal.classList.add('visible');
+}
+
+async function handleImportFile(file) {
+    let prompts;
+    try {
+        prompts = parsePromptFile(await file.text());
+    } catch (error) {
+        showToast(`Could not import ${file.name}: ${error.message}`, 'error');
+        return;
+    }
+
+    promptFileView = { mode: 'import', items: buildImportItems(prompts) };
+    renderPromptFileModal();
+    promptFileModal.classList.add('visible');
+}
+
+function getMigrationKey() {
+    return `promptMigrationDone:${currentUser.id}`;
+}
+
+// Once per account on this browser: offer to copy prompts saved while logged out
+// into the account. Defaults are skipped - accounts get their own copy of those.
+function offerLocalPromptMigration() {
+    if (!currentUser || promptFileView || localStorage.getItem(getMigrationKey())) return;
+
+    let localPrompts = [];
+    try {
+        localPrompts = JSON.parse(localStorage.getItem('savedPrompts') || '[]');
+    } catch (e) {
+        localPrompts = [];
+    }
+
+    const isDefault = (p) => DEFAULT_PROMPTS.some(d => d.name === p.name && d.text === p.text);
+    const prompts = localPrompts
+        .filter(p => p && p.name && p.text && !isDefault(p))
+        .map(p => ({ name: p.name, text: p.text, schema: p.schema || '', settings: p.settings || null }));
+    const items = buildImportItems(prompts).filter(item => !item.identical);
+
+    if (items.length === 0) {
+        localStorage.setItem(getMigrationKey(), 'true');
+        return;
+    }
+
+    promptFileView = { mode: 'migrate', items };
+    renderPromptFileModal();
+    promptFileModal.classList.add('visible');
+}
+
+function renderPromptFileModal() {
+    const { mode, items } = promptFileView;
+    const conflictOptions = (selected) => Object.entries(PROMPT_CONFLICT_ACTIONS).map(([value, label]) =>
+        `<option value="${value}"${value === selected ? ' selected' : ''}>${label}</option>`
+    ).join('');
+
+    if (mode === 'export') {
+        promptFileTitle.textContent = 'Export Prompts';
+        promptFileDescription.textContent = 'Choose the prompts to export. JSON keeps each prompt\'s JSON schema and model settings; the text format (like default-prompts.txt) keeps only names and prompt text.';
+        promptFileOptions.innerHTML = `
+            <label>Format
+                <select class="form-control prompt-file-format">
+                    <option value="json">JSON (.json)</option>
+                    <option value="text">===PROMPT=== text (.txt)</option>
+                </select>
+            </label>
+        `;
+        promptFileConfirmBtn.textContent = 'Export';
+    } else {
+        const conflicts = items.filter(item => item.existing && !item.identical).length;
+        promptFileTitle.textContent = mode === 'migrate' ? 'Copy Prompts Into Your Account' : 'Import Prompts';
+        promptFileDescription.textContent = mode === 'migrate'
+            ? `You have ${items.length} prompt${items.length === 1 ? '' : 's'} saved in this browser from before you logged in. Copy them into your account so they are available everywhere? You will only be asked once.`
+            : `${items.length} prompt${items.length === 1 ? '' : 's'} found. They will be added to your personal prompts.`;
+        promptFileOptions.innerHTML = conflicts > 0 ? `
+            <label>${conflicts} name${conflicts === 1 ? '' : 's'} already exist - for all of them:
+                <select class="form-control prompt-file-conflict-all">
+                    <option value="">Choose per prompt</option>
+                    ${conflictOptions('')}
+                </select>
+            </label>
+        ` : '';
+        promptFileConfirmBtn.textContent = mode === 'migrate' ? 'Copy to Account' : 'Import';
+    }
+
+    promptFileTable.innerHTML = items.map((item, index) => {
+        const name = mode === 'export' ? getPromptLabel(item.prompt) : item.name;
+        let status;
+        if (mode === 'export') {
+            const prompt = item.prompt;
+            status = `${prompt.teamId ? `Team: ${escapeHtml(prompt.teamName)}` : 'Personal'}${prompt.schema ? ' · JSON schema' : ''}${prompt.settings ? ' · model settings' : ''}`;
+        } else if (item.identical) {
+            status = 'Already saved (identical)';
+        } else if (item.existing) {
+            status = `<select class="form-control prompt-file-conflict" data-index="${index}">${conflictOptions(item.action)}</select>`;
+        } else {
+            status = `New${item.schema ? ' · JSON schema' : ''}${item.settings ? ' · model settings' : ''}`;
         }
-    });
+        return `
+            <tr>
+                <td><input type="checkbox" class="prompt-file-check" data-index="${index}"${item.selected ? ' checked' : ''}></td>
+                <td>${escapeHtml(name)}</td>
+                <td>${status}</td>
+            </tr>
+        `;
+    }).join('');
+}
 
-    // Model defaults
-    providerSelect.addEventListener('change', applyModelDefault);
-    setDefaultModelBtn.addEventListener('click', () => {
-        const provider = providerSelect.value;
-        const model = modelInput.value.trim();
-        if (!model) {
-            showToast('Enter a model name first', 'warning');
-            return;
+function closePromptFileModal() {
+    // Declining the migration counts as the one-time ask
+    if (promptFileView && promptFileView.mode === 'migrate' && currentUser) {
+        localStorage.setItem(getMigrationKey(), 'true');
+    }
+    promptFileModal.classList.remove('visible');
+    promptFileView = null;
+}
+
+function exportPrompts(prompts, format) {
+    const date = new Date().toISOString().slice(0, 10);
+    // Team prompts export under their own name, without the "Team/" prefix
+    const entries = prompts.map(p => ({ name: p.baseName || p.name, text: p.text, schema: p.schema || '', settings: p.settings || null }));
+
+    if (format === 'text') {
+        downloadBlob(new Blob([formatPromptBlocks(entries)], { type: 'text/plain' }), `prompts-${date}.txt`);
+    } else {
+        const file = { format: PROMPT_FILE_FORMAT, version: 1, exportedAt: new Date().toISOString(), prompts: entries };
+        downloadBlob(new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' }), `prompts-${date}.json`);
+    }
+    showToast(`Exported ${prompts.length} prompt${prompts.length === 1 ? '' : 's'}`, 'success');
+}
+
+// Items are saved one at a time through saveUserPrompt, so each one gets a version
+async function importPrompts(items) {
+    let imported = 0;
+    let skipped = 0;
+    let failed = 0;
+
+    for (const item of items) {
+        if (item.existing && item.action === 'skip') {
+            skipped++;
+            continue;
         }
-        saveModelDefault(provider, model);
+        const name = item.existing && item.action === 'rename' ? getUniquePromptName(item.name) : item.name;
+        if (await saveUserPrompt(name, item.text, item.schema, item.settings)) {
+            imported++;
+        } else {
+            failed++;
+        }
+    }
+
+    const details = [skipped && `${skipped} skipped`, failed && `${failed} failed`].filter(Boolean).join(', ');
+    const type = failed ? (imported ? 'warning' : 'error') : (imported ? 'success' : 'info');
+    showToast(`Imported ${imported} prompt${imported === 1 ? '' : 's'}${details ? ` (${details})` : ''}`, type);
+}
+
+async function confirmPromptFile() {
+    const { mode, items } = promptFileView;
+
+    promptFileTable.querySelectorAll('.prompt-file-check').forEach(input => {
+        items[input.dataset.index].selected = input.checked;
+    });
+    promptFileTable.querySelectorAll('.prompt-file-conflict').forEach(select => {
+        items[select.dataset.index].action = select.value;
     });
 
-    // Control buttons
-    parseBtn.addEventListener('click', handleParse);
-    clearBtn.addEventListener('click', handleClearAll);
+    const selected = items.filter(item => item.selected);
+    if (selected.length === 0) {
+        showToast('No prompts selected', 'warning');
+        return;
+    }
 
-    // Auth buttons and modal
-    if (loginBtn) {
-        loginBtn.addEventListener('click', () => openAuthModal('login'));
+    if (mode === 'export') {
+        exportPrompts(selected.map(item => item.prompt), promptFileOptions.querySelector('.prompt-file-format').value);
+        closePromptFileModal();
+        return;
     }
-    if (logoutBtn) logoutBtn.addEventListener('click', handleLogout);
-    if (authModalClose) authModalClose.addEventListener('click', closeAuthModal);
-    if (authToggleBtn) authToggleBtn.addEventListener('click', () => {
-        openAuthModal(isAuthMode === 'login' ? 'signup' : 'login');
-    });
-    if (authForm) authForm.addEventListener('submit', handleAuthSubmit);
 
-    // Close modal when clicking outside
-    if (authModal) {
-        authModal.addEventListener('click', (e) => {
-            if (e.target === authModal) closeAuthModal();
-        });
+    promptFileConfirmBtn.disabled = true;
+    try {
+        await importPrompts(selected);
+    } finally {
+        promptFileConfirmBtn.disabled = false;
     }
+    closePromptFileModal();
+}
 
-    // Settings modal
-    if (settingsBtn) settingsBtn.addEventListener('click', openSettingsModal);
-    if (settingsModalClose) settingsModalClose.addEventListener('click', closeSettingsModal);
-    if (settingsModal) {
-        settingsModal.addEventListener('click', (e) => {
-            if (e.target === settingsModal) closeSettingsModal();
-        });
+// ============================================
+// DEFAULT PROMPT UPDATES
+// ============================================
+
+// Prompts created from default-prompts.txt remember the default text they were
+// last synced with (defaultBase). When the file changes, untouched prompts are
+// updated automatically; edited ones are three-way merged and offered for review,
+// so a local customization is never overwritten without asking.
+
+var pendingDefaultUpdates = []; // [{ name, base, current, update, merged }]
+
+// Longest-common-subsequence line matching: result[i] is the index in `other`
+// matched to base line i, or -1
+function matchLines(base, other) {
+    const width = other.length + 1;
+    const lcs = new Uint32Array((base.length + 1) * width);
+
+    for (let i = base.length - 1; i >= 0; i--) {
+        for (let j = other.length - 1; j >= 0; j--) {
+            lcs[i * width + j] = base[i] === other[j]
+                ? lcs[(i + 1) * width + j + 1] + 1
+                : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+        }
     }
 
-    // API Key save/delete buttons
-    document.getElementById('openaiKeySaveBtn')?.addEventListener('click', () => saveApiKey('openai'));
-    document.getElementById('openaiKeyDeleteBtn')?.addEventListener('click', () => deleteApiKey('openai'));
-    document.getElementById('anthropicKeySaveBtn')?.addEventListener('click', () => saveApiKey('anthropic'));
-    document.getElementById('anthropicKeyDeleteBtn')?.addEventListener('click', () => deleteApiKey('anthropic'));
-    document.getElementById('geminiKeySaveBtn')?.addEventListener('click', () => saveApiKey('gemini'));
-    document.getElementById('geminiKeyDeleteBtn')?.addEventListener('click', () => deleteApiKey('gemini'));
+    const matches = new Array(base.length).fill(-1);
+    let i = 0;
+    let j = 0;
+    while (i < base.length && j < other.length) {
+        if (base[i] === other[j]) {
+            matches[i++] = j++;
+        } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+            i++;
+        } else {
+            j++;
+        }
+    }
+    return matches;
 }
 
-// File Upload Handlers
-function handleFileSelect(e) {
-    const files = Array.from(e.target.files);
-    addFiles(files);
-    fileInput.value = ''; // Reset input
+// Line-based three-way merge. Returns the merged text, or null when both sides
+// changed the same lines differently.
+function mergePromptText(base, mine, theirs) {
+    const o = base.split('\n');
+    const a = mine.split('\n');
+    const b = theirs.split('\n');
+    const matchA = matchLines(o, a);
+    const matchB = matchLines(o, b);
+    const merged = [];
+    let conflict = false;
+    let oi = 0;
+    let ai = 0;
+    let bi = 0;
+
+    const sameLines = (x, y) => x.length === y.length && x.every((line, k) => line === y[k]);
+    // Resolve the lines between two points where all three versions agree
+    const mergeChunk = (oEnd, aEnd, bEnd) => {
+        const baseChunk = o.slice(oi, oEnd);
+        const mineChunk = a.slice(ai, aEnd);
+        const theirsChunk = b.slice(bi, bEnd);
+        if (sameLines(mineChunk, baseChunk)) {
+            merged.push(...theirsChunk);
+        } else if (sameLines(theirsChunk, baseChunk) || sameLines(mineChunk, theirsChunk)) {
+            merged.push(...mineChunk);
+        } else {
+            conflict = true;
+        }
+    };
+
+    for (let i = 0; i < o.length; i++) {
+        if (matchA[i] === -1 || matchB[i] === -1) continue;
+        mergeChunk(i, matchA[i], matchB[i]);
+        merged.push(o[i]);
+        oi = i + 1;
+        ai = matchA[i] + 1;
+        bi = matchB[i] + 1;
+    }
+    mergeChunk(o.length, a.length, b.length);
+
+    return conflict ? null : merged.join('\n');
 }
 
-function handleDragOver(e) {
-    e.preventDefault();
-    uploadZone.classList.add('drag-over');
+function getDefaultNamesKey() {
+    return currentUser ? `defaultPromptNames:${currentUser.id}` : 'defaultPromptNames';
+}
+
+// Record which default text a personal prompt is now in sync with
+async function setPromptDefaultBase(name, base) {
+    const prompt = savedPrompts.find(p => !p.teamId && p.name === name);
+    if (!prompt) return;
+    prompt.defaultBase = base;
+
+    if (supabaseClient && currentUser) {
+        const { error } = await supabaseClient
+            .from('prompts')
+            .update({ default_base: base })
+            .eq('id', prompt.id);
+
+        if (error) console.error('Error saving default prompt base:', error);
+        return;
+    }
+
+    localStorage.setItem('savedPrompts', JSON.stringify(savedPrompts));
 }
 
-function handleDragLeave(e) {
-    e.preventDefault();
-    uploadZone.classList.remove('drag-over');
+// Add defaults the user has never had, fast-forward untouched ones and queue
+// edited ones for review
+async function syncDefaultPrompts() {
+    if (DEFAULT_PROMPTS.length === 0) return;
+
+    const namesKey = getDefaultNamesKey();
+    const storedNames = localStorage.getItem(namesKey);
+    let knownNames = [];
+    try {
+        knownNames = JSON.parse(storedNames || '[]');
+    } catch (e) {
+        knownNames = [];
+    }
+    // Accounts already got every default when they were created (addDefaultPrompt),
+    // so on a new browser only defaults added after this point count as new
+    if (storedNames === null && currentUser) {
+        knownNames = DEFAULT_PROMPTS.map(p => p.name);
+    }
+
+    pendingDefaultUpdates = [];
+    let added = 0;
+    let updated = 0;
+
+    for (const update of DEFAULT_PROMPTS) {
+        const prompt = savedPrompts.find(p => !p.teamId && p.name === update.name);
+
+        if (!prompt) {
+            // Never re-add a default the user deleted
+            if (knownNames.includes(update.name)) continue;
+            await saveUserPrompt(update.name, update.text);
+            await setPromptDefaultBase(update.name, update.text);
+            added++;
+        } else if (prompt.defaultBase === update.text) {
+            continue;
+        } else if (prompt.text === update.text) {
+            await setPromptDefaultBase(prompt.name, update.text);
+        } else if (prompt.defaultBase && prompt.text === prompt.defaultBase) {
+            await saveUserPrompt(prompt.name, update.text, prompt.schema || '', prompt.settings || null);
+            await setPromptDefaultBase(prompt.name, update.text);
+            updated++;
+        } else {
+            // Edited since the last sync (or synced before bases were tracked)
+            const base = prompt.defaultBase || null;
+            pendingDefaultUpdates.push({
+                name: prompt.name,
+                base,
+                current: prompt.text,
+                update: update.text,
+                merged: base ? mergePromptText(base, prompt.text, update.text) : null
+            });
+        }
+    }
+
+    localStorage.setItem(namesKey, JSON.stringify([...new Set([...knownNames, ...DEFAULT_PROMPTS.map(p => p.name)])]));
+
+    if (added || updated) {
+        const parts = [];
+        if (added) parts.push(`added ${added} new`);
+        if (updated) parts.push(`updated ${updated}`);
+        showToast(`Default prompts: ${parts.join(', ')}`, 'success');
+    }
+    updateSavedPromptsButtons();
+    updateDefaultUpdatesButton();
+}
+
+function updateDefaultUpdatesButton() {
+    const count = pendingDefaultUpdates.length;
+    defaultUpdatesBtn.style.display = count > 0 ? '' : 'none';
+    defaultUpdatesBtn.textContent = `Default prompt update${count === 1 ? '' : 's'} available (${count})`;
+}
+
+function openDefaultUpdatesModal() {
+    renderDefaultUpdates();
+    defaultUpdatesModal.classList.add('visible');
+}
+
+function closeDefaultUpdatesModal() {
+    defaultUpdatesModal.classList.remove('visible');
+}
+
+function renderDefaultUpdates() {
+    if (pendingDefaultUpdates.length === 0) {
+        defaultUpdatesList.innerHTML = '<p class="empty-state">All default prompts are up to date</p>';
+        return;
+    }
+
+    defaultUpdatesList.innerHTML = pendingDefaultUpdates.map((item, index) => {
+        let status;
+        if (!item.base) {
+            status = 'Your copy differs from the new default';
+        } else if (item.merged !== null) {
+            status = 'You edited this prompt - your edits and the update merge cleanly';
+        } else {
+            status = 'You edited the same lines the update changes - choose which to keep';
+        }
+
+        return `
+            <div class="default-update-item">
+                <div class="history-item">
+                    <div class="history-item-info">
+                        <span class="result-filename">${escapeHtml(item.name)}</span>
+                        <span class="history-meta">${status}</span>
+                    </div>
+                    <div class="result-actions">
+                        <button class="btn btn-small default-update-diff-btn" data-index="${index}">Review changes</button>
+                        ${item.merged !== null ? `<button class="btn btn-small btn-primary default-update-btn" data-index="${index}" data-choice="merged">Apply merged</button>` : ''}
+                        <button class="btn btn-small ${item.merged !== null ? '' : 'btn-primary '}default-update-btn" data-index="${index}" data-choice="update">Use new default</button>
+                        <button class="btn btn-small btn-secondary default-update-btn" data-index="${index}" data-choice="mine">Keep mine</button>
+                    </div>
+                </div>
+                <div class="default-update-diff" id="defaultUpdateDiff${index}" style="display: none;"></div>
+            </div>
+        `;
+    }).join('');
+}
+
+// What the update changes (from the last synced default), or how it differs from
+// the user's copy when there is no synced default to compare against
+function toggleDefaultUpdateDiff(index) {
+    const item = pendingDefaultUpdates[index];
+    const diffEl = document.getElementById(`defaultUpdateDiff${index}`);
+    if (diffEl.style.display !== 'none') {
+        diffEl.style.display = 'none';
+        return;
+    }
+
+    diffEl.innerHTML = `
+        <h3 class="settings-section-title">${item.base ? 'Changes in the new default' : 'Your copy → new default'}</h3>
+        <div class="prompt-version-text diff-view">${renderWordDiff(item.base || item.current, item.update)}</div>
+        ${item.merged !== null && item.merged !== item.update ? `
+            <h3 class="settings-section-title">Your copy → merged result</h3>
+            <div class="prompt-version-text diff-view">${renderWordDiff(item.current, item.merged)}</div>
+        ` : ''}
+    `;
+    diffEl.style.display = '';
+}
+
+// Saving creates a new prompt version, so "Use new default" can be undone from Versions
+async function resolveDefaultUpdate(index, choice) {
+    const item = pendingDefaultUpdates[index];
+    const prompt = savedPrompts.find(p => !p.teamId && p.name === item.name);
+
+    if (prompt && choice !== 'mine') {
+        await saveUserPrompt(item.name, choice === 'merged' ? item.merged : item.update, prompt.schema || '', prompt.settings || null);
+    }
+    // "Keep mine" also records the update as seen, so it is not offered again
+    await setPromptDefaultBase(item.name, item.update);
+
+    pendingDefaultUpdates.splice(index, 1);
+    updateDefaultUpdatesButton();
+    renderDefaultUpdates();
+    if (promptNameInput.value.trim() === item.name) loadPromptByName(item.name);
+    if (pendingDefaultUpdates.length === 0) closeDefaultUpdatesModal();
+}
+
+// ============================================
+// API KEY MANAGEMENT FUNCTIONS
+// ============================================
+
+// Get the current user's access token for API calls
+// Uses cached token from onAuthStateChange instead of calling getSession()
+// which can hang when the Supabase SDK's background refresh gets stuck
+function getAuthToken() {
+    if (!currentUser) return null;
+    return cachedAccessToken || null;
+}
+
+// ============================================
+// MODEL DEFAULTS FUNCTIONS
+// ============================================
+
+async function loadModelDefaults() {
+    if (supabaseClient && currentUser) {
+        // Load from Supabase
+        try {
+            const { data, error } = await supabaseClient
+                .from('user_model_defaults')
+                .select('provider, model_name')
+                .eq('user_id', currentUser.id);
+
+            if (!error && data) {
+                modelDefaults = {};
+                data.forEach(row => {
+                    modelDefaults[row.provider] = row.model_name;
+                });
+                return;
+            }
+        } catch (e) {
+            console.warn('Could not load model defaults from database, using localStorage');
+        }
+    }
+
+    // Fallback to localStorage
+    const saved = localStorage.getItem('modelDefaults');
+    if (saved) {
+        try {
+            modelDefaults = JSON.parse(saved);
+        } catch (e) {
+            modelDefaults = {};
+        }
+    } else {
+        modelDefaults = {};
+    }
+}
+
+async function saveModelDefault(provider, modelName) {
+    modelDefaults[provider] = modelName;
+
+    if (supabaseClient && currentUser) {
+        // Upsert to Supabase
+        try {
+            const { error } = await supabaseClient
+                .from('user_model_defaults')
+                .upsert({
+                    user_id: currentUser.id,
+                    provider: provider,
+                    model_name: modelName,
+                    updated_at: new Date().toISOString()
+                }, { onConflict: 'user_id,provider' });
+
+            if (error) {
+                console.error('Error saving model default:', error);
+                showToast('Failed to save model default', 'error');
+                return;
+            }
+        } catch (e) {
+            console.error('Error saving model default:', e);
+        }
+    } else {
+        // Save to localStorage
+        localStorage.setItem('modelDefaults', JSON.stringify(modelDefaults));
+    }
+
+    showToast(`Default model for ${provider} set to "${modelName}"`, 'success');
+}
+
+function applyModelDefault() {
+    const provider = providerSelect.value;
+    modelInput.value = modelDefaults[provider] || FALLBACK_MODELS[provider] || '';
+}
+
+// Get API endpoint URL for keys
+function getKeysApiUrl() {
+    return window.location.hostname === 'localhost'
+        ? 'http://localhost:3000/api/keys'
+        : '/api/keys';
+}
+
+// Open settings modal
+function openSettingsModal() {
+    settingsModal.classList.add('visible');
+    loadUserApiKeyStatus();
+    renderTeamsSettings();
+}
+
+// Close settings modal
+function closeSettingsModal() {
+    settingsModal.classList.remove('visible');
+    // Clear input fields
+    apiKeyRows.querySelectorAll('.api-key-input').forEach(input => {
+        input.value = '';
+    });
+}
+
+// Provider select and the Settings key rows list every provider from the registry
+function renderProviderOptions() {
+    providerSelect.innerHTML = PROVIDERS.map(provider =>
+        `<option value="${escapeHtml(provider.id)}">${escapeHtml(provider.label)}</option>`
+    ).join('');
+}
+
+function renderApiKeyRows() {
+    apiKeyRows.innerHTML = PROVIDERS.map(provider => `
+        <div class="api-key-row">
+            <div class="api-key-provider">
+                <label>${escapeHtml(provider.label)}</label>
+                <span class="api-key-status" id="${escapeHtml(provider.id)}KeyStatus"></span>
+            </div>
+            <div class="api-key-input-group">
+                <input type="password" id="${escapeHtml(provider.id)}KeyInput" class="form-control api-key-input" placeholder="${escapeHtml(provider.keyPlaceholder || '')}">
+                <button class="btn btn-small btn-primary api-key-save-btn" data-provider="${escapeHtml(provider.id)}">Save</button>
+                <button class="btn btn-small btn-danger api-key-delete-btn" data-provider="${escapeHtml(provider.id)}">Delete</button>
+            </div>
+        </div>
+    `).join('');
+    updateApiKeyStatusUI();
+}
+
+// Load user's API key status (which providers have keys configured)
+async function loadUserApiKeyStatus() {
+    if (!currentUser) return;
+
+    const token = await getAuthToken();
+    if (!token) return;
+
+    try {
+        const response = await fetch(getKeysApiUrl(), {
+            method: 'GET',
+            headers: {
+                'Authorization': `Bearer ${token}`
+            }
+        });
+
+        if (!response.ok) {
+            throw new Error('Failed to load API key status');
+        }
+
+        const data = await response.json();
+
+        // Reset status
+        userApiKeys = {};
+
+        // Update status from response
+        if (data.keys) {
+            data.keys.forEach(key => {
+                userApiKeys[key.provider] = true;
+            });
+        }
+
+        updateApiKeyStatusUI();
+    } catch (error) {
+        console.error('Error loading API key status:', error);
+    }
+}
+
+// Update the UI to show which keys are configured
+function updateApiKeyStatusUI() {
+    PROVIDERS.forEach(({ id, requiresKey }) => {
+        const statusEl = document.getElementById(`${id}KeyStatus`);
+        if (statusEl) {
+            if (userApiKeys[id]) {
+                statusEl.textContent = 'Configured';
+                statusEl.className = 'api-key-status configured';
+            } else {
+                // Local servers (e.g. Ollama) may not need a key at all
+                statusEl.textContent = requiresKey ? 'Not configured' : 'Optional';
+                statusEl.className = 'api-key-status not-configured';
+            }
+        }
+    });
+}
+
+// Save an API key
+async function saveApiKey(provider) {
+    const inputEl = document.getElementById(`${provider}KeyInput`);
+    const apiKey = inputEl.value.trim();
+
+    if (!apiKey) {
+        showToast('Please enter an API key', 'warning');
+        return;
+    }
+
+    const token = await getAuthToken();
+    if (!token) {
+        showToast('Please login first', 'error');
+        return;
+    }
+
+    try {
+        const response = await fetch(getKeysApiUrl(), {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${token}`
+            },
+            body: JSON.stringify({ provider, apiKey })
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to save API key');
+        }
+
+        showToast(data.message || `${provider} API key saved`, 'success');
+        inputEl.value = '';
+        userApiKeys[provider] = true;
+        updateApiKeyStatusUI();
+    } catch (error) {
+        console.error('Error saving API key:', error);
+        showToast(error.message || 'Failed to save API key', 'error');
+    }
+}
+
+// Delete an API key
+async function deleteApiKey(provider) {
+    const token = await getAuthToken();
+    if (!token) {
+        showToast('Please login first', 'error');
+        return;
+    }
+
+    if (!userApiKeys[provider]) {
+        showToast(`No ${provider} API key to delete`, 'warning');
+        return;
+    }
+
+    try {
+        const response = await fetch(getKeysApiUrl(), {
+            method: 'DELETE',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${token}`
+            },
+            body: JSON.stringify({ provider })
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to delete API key');
+        }
+
+        showToast(data.message || `${provider} API key deleted`, 'success');
+        userApiKeys[provider] = false;
+        updateApiKeyStatusUI();
+    } catch (error) {
+        console.error('Error deleting API key:', error);
+        showToast(error.message || 'Failed to delete API key', 'error');
+    }
+}
+
+// ============================================
+// PARSE HISTORY FUNCTIONS
+// ============================================
+
+// Logged-in users keep history in the parse_history table;
+// everyone else gets a per-browser IndexedDB store
+const HISTORY_DB_NAME = 'transcriptParser';
+const HISTORY_STORE = 'parseHistory';
+const HISTORY_LIMIT = 500; // Newest entries loaded from Supabase per search
+const HISTORY_SEARCH_DELAY_MS = 300;
+// Searched in the database; chat threads (JSONB) are only searched in loaded entries
+const HISTORY_SEARCH_COLUMNS = ['filename', 'prompt_name', 'prompt_text', 'provider', 'model_name', 'output'];
+
+var historyLoadId = 0; // Only the latest load may replace parseHistory
+var historySearchTimer = null;
+
+function openHistoryDB() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(HISTORY_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+                const store = db.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('createdAt', 'createdAt');
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Run a single IndexedDB request against the history store and resolve with its result
+async function historyStoreRequest(mode, makeRequest) {
+    const db = await openHistoryDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(HISTORY_STORE, mode);
+        const request = makeRequest(tx.objectStore(HISTORY_STORE));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        tx.oncomplete = () => db.close();
+    });
+}
+
+// Save a completed run. Never throws - a history failure must not fail the parse.
+async function saveHistoryEntry(entry) {
+    const record = { ...entry, createdAt: new Date().toISOString() };
+
+    try {
+        if (supabaseClient && currentUser) {
+            const { data, error } = await supabaseClient
+                .from('parse_history')
+                .insert([{
+                    user_id: currentUser.id,
+                    filename: record.filename,
+                    prompt_name: record.promptName,
+                    prompt_version: record.promptVersion || null,
+                    prompt_text: record.promptText,
+                    provider: record.provider,
+                    model_name: record.model,
+                    output: record.output
+                }])
+                .select();
+
+            if (error) throw error;
+            return data[0].id;
+        }
+
+        return await historyStoreRequest('readwrite', store => store.add(record));
+    } catch (error) {
+        console.error('Error saving parse history:', error);
+        showToast('Result could not be saved to history', 'warning');
+        return null;
+    }
+}
+
+// Store a result's follow-up chat with its history entry. Never throws.
+async function saveHistoryChat(id, chat) {
+    if (id === null || id === undefined) return;
+
+    try {
+        if (supabaseClient && currentUser) {
+            const { error } = await supabaseClient
+                .from('parse_history')
+                .update({ chat })
+                .eq('id', id);
+            if (error) throw error;
+        } else {
+            const entry = await historyStoreRequest('readonly', store => store.get(id));
+            if (entry) await historyStoreRequest('readwrite', store => store.put({ ...entry, chat }));
+        }
+    } catch (error) {
+        console.error('Error saving chat to history:', error);
+        showToast('Chat could not be saved to history', 'warning');
+    }
+}
+
+function getHistorySearchTerms(query) {
+    return query.toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+// PostgREST filter matching the term in any searchable column. The term is escaped
+// for ILIKE, then quoted so commas and parentheses in it are taken literally.
+function buildHistorySearchFilter(term) {
+    const pattern = `%${term.replace(/[\\%_]/g, '\\$&')}%`;
+    const quoted = `"${pattern.replace(/["\\]/g, '\\$&')}"`;
+    return HISTORY_SEARCH_COLUMNS.map(column => `${column}.ilike.${quoted}`).join(',');
+}
+
+// Logged-in users' search terms are applied in the query, so older matches beyond
+// the newest HISTORY_LIMIT entries are still found. Resolves to false if a later
+// load superseded this one.
+async function loadParseHistory(query = '') {
+    const loadId = ++historyLoadId;
+
+    if (supabaseClient && currentUser) {
+        let request = supabaseClient
+            .from('parse_history')
+            .select('*')
+            .eq('user_id', currentUser.id);
+        // Each or() filter is ANDed with the others: every term must match
+        getHistorySearchTerms(query).forEach(term => {
+            request = request.or(buildHistorySearchFilter(term));
+        });
+
+        const { data, error } = await request
+            .order('created_at', { ascending: false })
+            .limit(HISTORY_LIMIT);
+
+        if (loadId !== historyLoadId) return false;
+        if (error) {
+            console.error('Error loading parse history:', error);
+            showToast('Failed to load history', 'error');
+            parseHistory = [];
+            return true;
+        }
+
+        parseHistory = data.map(row => ({
+            id: row.id,
+            filename: row.filename,
+            promptName: row.prompt_name,
+            promptVersion: row.prompt_version,
+            promptText: row.prompt_text,
+            provider: row.provider,
+            model: row.model_name,
+            output: row.output,
+            chat: row.chat || [],
+            createdAt: row.created_at
+        }));
+        return true;
+    }
+
+    try {
+        const rows = await historyStoreRequest('readonly', store => store.getAll());
+        if (loadId !== historyLoadId) return false;
+        parseHistory = rows.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    } catch (error) {
+        console.error('Error loading local parse history:', error);
+        showToast('Failed to load history', 'error');
+        parseHistory = [];
+    }
+    return true;
+}
+
+// Local history is all in memory; logged-in searches reload from the database
+function handleHistorySearch() {
+    if (!supabaseClient || !currentUser) {
+        renderHistoryList();
+        return;
+    }
+
+    clearTimeout(historySearchTimer);
+    historySearchTimer = setTimeout(async () => {
+        if (await loadParseHistory(historySearchInput.value)) renderHistoryList();
+    }, HISTORY_SEARCH_DELAY_MS);
+}
+
+async function deleteHistoryEntry(id) {
+    try {
+        if (supabaseClient && currentUser) {
+            const { error } = await supabaseClient
+                .from('parse_history')
+                .delete()
+                .eq('id', id);
+            if (error) throw error;
+        } else {
+            await historyStoreRequest('readwrite', store => store.delete(id));
+        }
+    } catch (error) {
+        console.error('Error deleting history entry:', error);
+        showToast('Failed to delete history entry', 'error');
+        return;
+    }
+
+    parseHistory = parseHistory.filter(entry => entry.id !== id);
+    renderHistoryList();
+    showToast('History entry deleted', 'success');
+}
+
+// Every whitespace-separated search term must appear somewhere in the entry
+function filterHistory(query) {
+    const terms = getHistorySearchTerms(query);
+    if (terms.length === 0) return parseHistory;
+
+    return parseHistory.filter(entry => {
+        const haystack = [
+            entry.filename, entry.promptName, entry.promptText,
+            entry.provider, entry.model, entry.output,
+            ...(entry.chat || []).map(message => message.content)
+        ].join('\n').toLowerCase();
+        return terms.every(term => haystack.includes(term));
+    });
+}
+
+function renderHistoryList() {
+    const entries = filterHistory(historySearchInput.value);
+
+    if (entries.length === 0) {
+        const isSearching = getHistorySearchTerms(historySearchInput.value).length > 0;
+        historyList.innerHTML = `<p class="empty-state">${isSearching ? 'No results match your search' : 'No past results yet'}</p>`;
+        return;
+    }
+
+    historyList.innerHTML = entries.map(entry => `
+        <div class="history-item">
+            <div class="history-item-info">
+                <span class="result-filename">${escapeHtml(entry.filename)}</span>
+                <span class="history-meta">
+                    ${escapeHtml(formatPromptLabel(entry.promptName, entry.promptVersion))} · ${escapeHtml(entry.provider)}/${escapeHtml(entry.model || 'default')} · ${new Date(entry.createdAt).toLocaleString()}
+                </span>
+            </div>
+            <div class="result-actions">
+                <button class="btn btn-small history-open-btn" data-id="${entry.id}">Open</button>
+                <button class="btn btn-small btn-primary history-copy-btn" data-id="${entry.id}">Copy</button>
+                <button class="btn btn-small btn-danger history-delete-btn" data-id="${entry.id}">Delete</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+function findHistoryEntry(id) {
+    // Supabase ids are UUID strings, IndexedDB ids are auto-increment numbers
+    return parseHistory.find(entry => String(entry.id) === id);
+}
+
+// Put a past result back into the results panel so it can be previewed and copied
+function reopenHistoryEntry(entry) {
+    currentResults.push({
+        filename: entry.filename,
+        status: 'complete',
+        statusText: `From history (${new Date(entry.createdAt).toLocaleDateString()})`,
+        output: entry.output,
+        prompt: entry.promptText,
+        chat: entry.chat ? [...entry.chat] : [],
+        usage: [],
+        historyId: entry.id
+    });
+    updateResultsDisplay();
+    closeHistoryModal();
+}
+
+async function openHistoryModal() {
+    historyModal.classList.add('visible');
+    historyList.innerHTML = '<p class="empty-state">Loading history...</p>';
+    if (await loadParseHistory(historySearchInput.value)) renderHistoryList();
+    historySearchInput.focus();
+}
+
+function closeHistoryModal() {
+    historyModal.classList.remove('visible');
+}
+
+// ============================================
+// USAGE & COST
+// ============================================
+
+// api/llm.js reports the provider's token counts for every request as a final
+// { status: 'usage' } event, and adds them to the user's monthly total in Supabase.
+// Costs are estimated here from an editable price table (USD per million tokens),
+// matched by exact model name or else the longest matching name prefix.
+
+const DEFAULT_MODEL_PRICES = [
+    { model: 'gpt-5.2', input: 1.75, output: 14 },
+    { model: 'gpt-4o', input: 2.5, output: 10 },
+    { model: 'claude-sonnet-4-6', input: 3, output: 15 },
+    { model: 'claude-opus-4-6', input: 5, output: 25 },
+    { model: 'gemini-3-flash-preview', input: 0.5, output: 3 },
+    { model: 'gemini-3.1-pro-preview', input: 2, output: 12 }
+];
+
+var modelPrices = [];
+
+function loadModelPrices() {
+    try {
+        const saved = JSON.parse(localStorage.getItem('modelPrices'));
+        modelPrices = Array.isArray(saved) ? saved : DEFAULT_MODEL_PRICES;
+    } catch (e) {
+        modelPrices = DEFAULT_MODEL_PRICES;
+    }
+}
+
+function getModelPrice(model) {
+    if (!model) return null;
+    const name = model.toLowerCase();
+    const exact = modelPrices.find(p => p.model.toLowerCase() === name);
+    if (exact) return exact;
+
+    return modelPrices
+        .filter(p => p.model && name.startsWith(p.model.toLowerCase()))
+        .sort((a, b) => b.model.length - a.model.length)[0] || null;
+}
+
+// Totals for a list of usage events; cost only covers models with a price
+function summarizeUsage(usageList) {
+    const summary = { inputTokens: 0, outputTokens: 0, cost: 0, unpricedModels: [] };
+
+    usageList.forEach(usage => {
+        summary.inputTokens += usage.inputTokens || 0;
+        summary.outputTokens += usage.outputTokens || 0;
+
+        const price = getModelPrice(usage.model);
+        if (price) {
+            summary.cost += ((usage.inputTokens || 0) * price.input + (usage.outputTokens || 0) * price.output) / 1e6;
+        } else if (!summary.unpricedModels.includes(usage.model)) {
+            summary.unpricedModels.push(usage.model);
+        }
+    });
+    return summary;
+}
+
+function formatCost(cost) {
+    return cost > 0 && cost < 0.01 ? '<$0.01' : `$${cost.toFixed(2)}`;
+}
+
+// "12,345 in / 1,234 out tokens · ~$0.06"
+function formatUsage(usageList) {
+    if (!usageList || usageList.length === 0) return '';
+    const summary = summarizeUsage(usageList);
+    const tokens = `${summary.inputTokens.toLocaleString()} in / ${summary.outputTokens.toLocaleString()} out tokens`;
+    const cost = summary.unpricedModels.length === usageList.length
+        ? 'no price set'
+        : `~${formatCost(summary.cost)}${summary.unpricedModels.length ? ' (some models unpriced)' : ''}`;
+    return `${tokens} · ${cost}`;
+}
+
+function updateBatchUsageSummary() {
+    const usageList = currentResults.flatMap(result => result.usage || []);
+    batchUsageSummary.textContent = usageList.length > 0 ? `Batch: ${formatUsage(usageList)}` : '';
+}
+
+async function openUsageModal() {
+    renderModelPricesTable(modelPrices);
+    usageModal.classList.add('visible');
+    await renderMonthlyUsage();
+}
+
+function closeUsageModal() {
+    usageModal.classList.remove('visible');
+}
+
+// This month's totals per model, from the llm_usage_monthly table
+async function renderMonthlyUsage() {
+    if (!supabaseClient || !currentUser) {
+        monthlyUsageSummary.innerHTML = '<p class="empty-state">Login to keep a running monthly total</p>';
+        return;
+    }
+
+    monthlyUsageSummary.innerHTML = '<p class="empty-state">Loading usage...</p>';
+    // Months are UTC, as record_llm_usage buckets them (see AUTH-SETUP.md)
+    const now = new Date();
+    const month = `${now.getUTCFullYear()}-${String(now.getUTCMonth() + 1).padStart(2, '0')}-01`;
+
+    const { data, error } = await supabaseClient
+        .from('llm_usage_monthly')
+        .select('*')
+        .eq('user_id', currentUser.id)
+        .eq('month', month);
+
+    if (error) {
+        console.error('Error loading usage:', error);
+        monthlyUsageSummary.innerHTML = '<p class="empty-state">Monthly usage is not available</p>';
+        return;
+    }
+
+    if (data.length === 0) {
+        monthlyUsageSummary.innerHTML = '<p class="empty-state">No usage recorded this month yet</p>';
+        return;
+    }
+
+    const usageList = data.map(row => ({
+        provider: row.provider,
+        model: row.model_name,
+        inputTokens: Number(row.input_tokens),
+        outputTokens: Number(row.output_tokens)
+    }));
+    const rows = data.map((row, index) => {
+        const summary = summarizeUsage([usageList[index]]);
+        return `
+            <tr>
+                <td>${escapeHtml(row.provider)}/${escapeHtml(row.model_name)}</td>
+                <td>${row.request_count.toLocaleString()}</td>
+                <td>${usageList[index].inputTokens.toLocaleString()}</td>
+                <td>${usageList[index].outputTokens.toLocaleString()}</td>
+                <td>${summary.unpricedModels.length ? 'no price set' : formatCost(summary.cost)}</td>
+            </tr>
+        `;
+    }).join('');
+
+    monthlyUsageSummary.innerHTML = `
+        <p class="history-meta">${now.toLocaleString(undefined, { month: 'long', year: 'numeric' })}: ${escapeHtml(formatUsage(usageList))}</p>
+        <table class="template-values-table">
+            <thead><tr><th>Model</th><th>Requests</th><th>Input tokens</th><th>Output tokens</th><th>Est. cost</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+function renderModelPricesTable(prices) {
+    modelPricesTable.innerHTML = `
+        <thead><tr><th>Model (or name prefix)</th><th>Input $/1M tokens</th><th>Output $/1M tokens</th><th></th></tr></thead>
+        <tbody>
+            ${prices.map(price => `
+                <tr>
+                    <td><input type="text" class="form-control model-price-name" value="${escapeHtml(price.model)}"></td>
+                    <td><input type="number" class="form-control model-price-input" min="0" step="0.01" value="${price.input}"></td>
+                    <td><input type="number" class="form-control model-price-output" min="0" step="0.01" value="${price.output}"></td>
+                    <td><button class="btn btn-small btn-danger model-price-remove" title="Remove">&times;</button></td>
+                </tr>
+            `).join('')}
+        </tbody>
+    `;
+}
+
+function readModelPricesTable() {
+    return Array.from(modelPricesTable.querySelectorAll('tbody tr')).map(row => ({
+        model: row.querySelector('.model-price-name').value.trim(),
+        input: parseFloat(row.querySelector('.model-price-input').value) || 0,
+        output: parseFloat(row.querySelector('.model-price-output').value) || 0
+    }));
+}
+
+function handleSaveModelPrices() {
+    modelPrices = readModelPricesTable().filter(price => price.model);
+    localStorage.setItem('modelPrices', JSON.stringify(modelPrices));
+    renderModelPricesTable(modelPrices);
+    updateResultsDisplay();
+    updatePreflightSummary();
+    renderMonthlyUsage();
+    showToast('Model prices saved', 'success');
+}
+
+// ============================================
+// PRE-FLIGHT ESTIMATE
+// ============================================
+
+// Files are read as soon as they are added, so the file list can show page and
+// token counts and the batch's estimated input cost before anything is sent.
+// Token counts use the same rough estimate as chunking (see estimateTokens);
+// output tokens are unknown until the run, so they are not priced here.
+
+var fileEstimates = new Map(); // filename -> { status, progress, pageCount, text, error }
+
+async function estimateFile(file) {
+    const estimate = { status: 'reading', progress: '', pageCount: null, text: '', error: null };
+    fileEstimates.set(file.name, estimate);
+    const isCurrent = () => fileEstimates.get(file.name) === estimate;
+
+    try {
+        const extracted = await extractTranscriptText(file, (progressText) => {
+            estimate.progress = progressText;
+            if (isCurrent()) updateFileEstimate(file);
+        }, getTranscriptFormat());
+        estimate.pageCount = extracted.pageCount || null;
+        estimate.text = extracted.text;
+        estimate.status = 'done';
+    } catch (error) {
+        estimate.status = 'error';
+        estimate.error = error.message;
+    }
+
+    // The file may have been removed (or re-read in another format) meanwhile
+    if (isCurrent()) updateFileEstimate(file);
+}
+
+// Re-render just this file's estimate: rebuilding the whole list would close a
+// prompt select the user has open
+function updateFileEstimate(file) {
+    const item = fileList.querySelectorAll('.file-item')[uploadedFiles.indexOf(file)];
+    const estimateSpan = item && item.querySelector('.file-estimate');
+    if (!estimateSpan) {
+        updateFileList();
+        return;
+    }
+    estimateSpan.outerHTML = renderFileEstimate(file);
+    updatePreflightSummary();
+}
+
+// The requests a file will make with the current settings: one per pipeline step
+// that reads the transcript, otherwise one with the file's prompt. Steps that only
+// read the previous output are left out, since their input size is not known yet.
+function getFileRequestPlans(file) {
+    const provider = providerSelect.value;
+    const modelName = modelInput.value.trim() || FALLBACK_MODELS[provider];
+    const pipeline = getActivePipeline();
+
+    if (pipeline) {
+        return pipeline.steps.filter(step => step.input !== 'previous').map(step => {
+            const prompt = savedPrompts.find(p => p.name === step.promptName);
+            const stepProvider = step.provider || provider;
+            return {
+                promptText: prompt ? prompt.text : '',
+                settings: prompt ? prompt.settings : null,
+                provider: stepProvider,
+                modelName: (step.provider ? step.modelName : (step.modelName || modelName)) || FALLBACK_MODELS[stepProvider]
+            };
+        });
+    }
+
+    const assigned = savedPrompts.find(p => p.name === getAssignedPromptName(file));
+    return [{
+        promptText: assigned ? assigned.text : promptInput.value.trim(),
+        settings: assigned ? assigned.settings : readPromptSettingsInputs().settings,
+        provider,
+        modelName
+    }];
+}
+
+// Transcripts over the chunk budget are split into parts (plus a merge request,
+// whose size depends on the outputs and is not counted)
+function estimateFileRequests(file, text) {
+    return getFileRequestPlans(file).map(plan => {
+        const transcriptTokens = estimateTokens(text, plan.provider);
+        const promptTokens = estimateTokens(plan.promptText, plan.provider);
+        const budget = getChunkTokenBudget(plan.promptText, plan);
+        const parts = transcriptTokens <= budget ? 1 : Math.ceil(transcriptTokens / Math.max(budget, 1));
+        return {
+            ...plan,
+            transcriptTokens,
+            inputTokens: transcriptTokens + promptTokens * parts,
+            contextTokens: getContextTokens(plan),
+            parts,
+            promptTooLong: budget <= 0
+        };
+    });
+}
+
+function getReadyEstimates() {
+    return uploadedFiles
+        .map(file => ({ file, estimate: fileEstimates.get(file.name) }))
+        .filter(({ estimate }) => estimate && estimate.status === 'done');
+}
+
+// One line per request that will not fit in its model's context window as it is
+function getPreflightWarnings() {
+    return getReadyEstimates().flatMap(({ file, estimate }) =>
+        estimateFileRequests(file, estimate.text)
+            .filter(request => request.parts > 1 || request.promptTooLong)
+            .map(request => {
+                const limit = `${request.modelName}'s ~${request.contextTokens.toLocaleString()}-token context window`;
+                return request.promptTooLong
+                    ? `${file.name}: the prompt alone is too long for ${limit} - this request will fail`
+                    : `${file.name}: ~${request.transcriptTokens.toLocaleString()} tokens is over ${limit}, so it will be split into ${request.parts} parts and merged (${request.parts + 1} requests)`;
+            })
+    );
+}
+
+// "42 pages · ~31,000 tokens", or the reading status
+function renderFileEstimate(file) {
+    const estimate = fileEstimates.get(file.name);
+    if (!estimate) return '';
+    if (estimate.status === 'reading') {
+        return `<span class="file-estimate">${escapeHtml(estimate.progress || 'Reading...')}</span>`;
+    }
+    if (estimate.status === 'error') {
+        return `<span class="file-estimate over-limit">${escapeHtml(estimate.error)}</span>`;
+    }
+
+    const requests = estimateFileRequests(file, estimate.text);
+    const overLimit = requests.some(request => request.parts > 1 || request.promptTooLong);
+    const pages = estimate.pageCount ? `${estimate.pageCount} page${estimate.pageCount === 1 ? '' : 's'} · ` : '';
+    const tokens = `~${estimateTokens(estimate.text, providerSelect.value).toLocaleString()} tokens`;
+    return `<span class="file-estimate${overLimit ? ' over-limit' : ''}"${overLimit ? ' title="Over the model\'s context window - see the batch estimate below"' : ''}>${pages}${tokens}${overLimit ? ' · over context window' : ''}</span>`;
+}
+
+function updatePreflightSummary() {
+    if (uploadedFiles.length === 0) {
+        preflightSummary.innerHTML = '';
+        return;
+    }
+
+    const ready = getReadyEstimates();
+    const reading = uploadedFiles.filter(file => {
+        const estimate = fileEstimates.get(file.name);
+        return estimate && estimate.status === 'reading';
+    }).length;
+    if (ready.length === 0) {
+        preflightSummary.textContent = reading > 0 ? `Reading ${reading} file${reading === 1 ? '' : 's'} for the estimate...` : '';
+        return;
+    }
+
+    const requests = ready.flatMap(({ file, estimate }) => estimateFileRequests(file, estimate.text));
+    const pageCount = ready.reduce((total, { estimate }) => total + (estimate.pageCount || 0), 0);
+    const models = [...new Set(requests.map(request => request.modelName))];
+    const summary = summarizeUsage(requests.map(request => ({ model: request.modelName, inputTokens: request.inputTokens, outputTokens: 0 })));
+
+    const parts = [`${ready.length} file${ready.length === 1 ? '' : 's'}`];
+    if (pageCount > 0) parts.push(`${pageCount} page${pageCount === 1 ? '' : 's'}`);
+    parts.push(`~${summary.inputTokens.toLocaleString()} input tokens`);
+    if (requests.length > 0) {
+        parts.push(summary.unpricedModels.length === models.length
+            ? `no price set for ${models.join(', ')}`
+            : `~${formatCost(summary.cost)} input cost (${models.join(', ')})${summary.unpricedModels.length ? ', some models unpriced' : ''}`);
+    }
+    if (reading > 0) parts.push(`reading ${reading} more...`);
+
+    const warnings = getPreflightWarnings();
+    preflightSummary.innerHTML = `
+        <div>Estimate: ${escapeHtml(parts.join(' · '))}</div>
+        ${warnings.length > 0 ? `
+            <ul class="preflight-warnings">
+                ${warnings.map(warning => `<li>${escapeHtml(warning)}</li>`).join('')}
+            </ul>
+        ` : ''}
+    `;
+}
+
+// ============================================
+// INITIALIZE
+// ============================================
+
+async function init() {
+    // Configure PDF.js worker
+    if (typeof pdfjsLib !== 'undefined') {
+        pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
+    }
+
+    // File picker offers every format with a registered extractor
+    fileInput.accept = getSupportedExtensions().join(',');
+
+    renderProviderOptions();
+    renderApiKeyRows();
+
+    // Load default prompts from text file
+    try {
+        const resp = await fetch('./default-prompts.txt');
+        if (resp.ok) {
+            DEFAULT_PROMPTS = parsePromptBlocks(await resp.text());
+        }
+    } catch (e) {
+        console.warn('Could not load default prompts:', e);
+    }
+
+    setupEventListeners();
+    await checkAuth(); // Load user auth and prompts
+    await loadModelDefaults();
+    applyModelDefault();
+    loadMaxConcurrency();
+    loadTranscriptFormat();
+    loadAutoPromptSetting();
+    loadPipelines();
+    loadModelPrices();
+    renderCompareTargets();
+    updateSavedPromptsButtons(); // Initialize buttons even if empty
+    updateUI();
+
+    // Listen for auth state changes
+    if (supabaseClient) {
+        supabaseClient.auth.onAuthStateChange(async (event, session) => {
+            if (event === 'SIGNED_IN' || event === 'TOKEN_REFRESHED') {
+                currentUser = session.user;
+                cachedAccessToken = session.access_token;
+                if (event === 'SIGNED_IN') {
+                    await loadUserPrompts();
+                    await loadModelDefaults();
+                    applyModelDefault();
+                    updateAuthUI();
+                }
+            } else if (event === 'SIGNED_OUT') {
+                currentUser = null;
+                cachedAccessToken = null;
+                savedPrompts = [];
+                modelDefaults = {};
+                updateSavedPromptsButtons();
+                updateAuthUI();
+                loadModelDefaults().then(() => applyModelDefault());
+            }
+        });
+    }
+}
+
+// Event Listeners
+function setupEventListeners() {
+    // Upload zone click
+    uploadZone.addEventListener('click', () => fileInput.click());
+
+    // File input change
+    fileInput.addEventListener('change', handleFileSelect);
+
+    // Drag and drop
+    uploadZone.addEventListener('dragover', handleDragOver);
+    uploadZone.addEventListener('dragleave', handleDragLeave);
+    uploadZone.addEventListener('drop', handleDrop);
+
+    // Prompt management
+    savePromptBtn.addEventListener('click', handleSavePrompt);
+    deletePromptBtn.addEventListener('click', handleDeletePrompt);
+
+    // Event delegation for file list remove buttons
+    fileList.addEventListener('click', (e) => {
+        if (e.target.classList.contains('file-remove')) {
+            const index = parseInt(e.target.dataset.index);
+            removeFileByIndex(index);
+        }
+    });
+    fileList.addEventListener('change', (e) => {
+        if (e.target.classList.contains('file-prompt-select')) {
+            const index = parseInt(e.target.dataset.index);
+            setFilePromptOverride(uploadedFiles[index], e.target.value);
+        }
+    });
+    autoPromptToggle.addEventListener('change', saveAutoPromptSetting);
+
+    // Event delegation for saved prompt buttons
+    savedPromptsButtons.addEventListener('click', (e) => {
+        const button = e.target.closest('.prompt-button');
+        if (button) {
+            const promptName = button.dataset.promptname;
+            loadPromptByName(promptName);
+        }
+    });
+
+    // Event delegation for result preview and copy buttons
+    resultsContainer.addEventListener('click', (e) => {
+        if (e.target.classList.contains('preview-btn')) {
+            const index = parseInt(e.target.dataset.index);
+            togglePreview(index);
+        } else if (e.target.classList.contains('copy-btn')) {
+            const index = parseInt(e.target.dataset.index);
+            copyToClipboard(index);
+        } else if (e.target.classList.contains('cancel-result-btn')) {
+            const index = parseInt(e.target.dataset.index);
+            cancelResult(currentResults[index]);
+        } else if (e.target.classList.contains('retry-result-btn')) {
+            const index = parseInt(e.target.dataset.index);
+            retryResult(currentResults[index]);
+        } else if (e.target.classList.contains('copy-step-btn')) {
+            const result = currentResults[parseInt(e.target.dataset.index)];
+            copyTextToClipboard(result.steps[parseInt(e.target.dataset.step)].output);
+        } else if (e.target.classList.contains('citation-link')) {
+            const result = currentResults[parseInt(e.target.dataset.index)];
+            openPdfViewer(result, parseInt(e.target.dataset.page, 10), {
+                text: e.target.dataset.quote,
+                warning: e.target.dataset.warning
+            });
+        } else if (e.target.classList.contains('view-pdf-btn')) {
+            openPdfViewer(currentResults[parseInt(e.target.dataset.index)]);
+        } else if (e.target.classList.contains('chat-btn')) {
+            openChat(currentResults[parseInt(e.target.dataset.index)]);
+        }
+    });
+
+    // toggle doesn't bubble, so listen in the capture phase
+    resultsContainer.addEventListener('toggle', (e) => {
+        if (!e.target.classList.contains('pipeline-result-step')) return;
+        const result = currentResults[parseInt(e.target.dataset.index)];
+        const step = result && result.steps && result.steps[parseInt(e.target.dataset.step)];
+        if (step) step.expanded = e.target.open;
+    }, true);
+
+    // Result chat
+    chatModalClose.addEventListener('click', closeChat);
+    chatModal.addEventListener('click', (e) => {
+        if (e.target === chatModal) closeChat();
+    });
+    chatSendBtn.addEventListener('click', () => {
+        if (isChatRunning()) {
+            chatRun.controller.abort();
+        } else {
+            sendChatMessage();
+        }
+    });
+    chatInput.addEventListener('keydown', (e) => {
+        // Enter sends, Shift+Enter adds a line
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            if (!isChatRunning()) sendChatMessage();
+        }
+    });
+
+    // Citations and the PDF viewer
+    addCitationsBtn.addEventListener('click', addCitationInstructions);
+    pdfViewerClose.addEventListener('click', closePdfViewer);
+    pdfViewerModal.addEventListener('click', (e) => {
+        if (e.target === pdfViewerModal) closePdfViewer();
+    });
+    pdfTextLayer.addEventListener('mouseup', handlePdfTextSelection);
+    pdfResultPane.addEventListener('mouseup', handleResultTextSelection);
+    pdfResultPane.addEventListener('click', (e) => {
+        if (e.target.classList.contains('citation-link')) {
+            openPdfViewer(pdfViewer.result, parseInt(e.target.dataset.page, 10), {
+                text: e.target.dataset.quote,
+                warning: e.target.dataset.warning
+            });
+        }
+    });
+    pdfAsk.addEventListener('click', (e) => {
+        if (e.target.classList.contains('pdf-ask-btn')) {
+            askAboutPdfPassage();
+        } else if (e.target.classList.contains('pdf-ask-cancel-btn')) {
+            pdfViewer.ask.controller.abort();
+        } else if (e.target.classList.contains('pdf-ask-close-btn')) {
+            clearPdfAsk();
+        }
+    });
+    pdfAsk.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && e.target.classList.contains('pdf-ask-input')) askAboutPdfPassage();
+    });
+    pdfPrevPageBtn.addEventListener('click', () => showPdfPage(pdfViewer.pageNumber - 1));
+    pdfNextPageBtn.addEventListener('click', () => showPdfPage(pdfViewer.pageNumber + 1));
+
+    // Model defaults
+    providerSelect.addEventListener('change', () => {
+        applyModelDefault();
+        updateFileList();
+    });
+    modelInput.addEventListener('change', updateFileList);
+    setDefaultModelBtn.addEventListener('click', () => {
+        const provider = providerSelect.value;
+        const model = modelInput.value.trim();
+        if (!model) {
+            showToast('Enter a model name first', 'warning');
+            return;
+        }
+        saveModelDefault(provider, model);
+    });
+
+    concurrencyInput.addEventListener('change', saveMaxConcurrency);
+    transcriptFormatSelect.addEventListener('change', () => {
+        saveTranscriptFormat();
+        uploadedFiles.forEach(estimateFile); // Token counts depend on the format
+    });
+
+    // Model comparison
+    compareBtn.addEventListener('click', handleCompare);
+    compareTargets.addEventListener('change', (e) => {
+        if (e.target.classList.contains('compare-provider')) {
+            applyCompareModelDefault(e.target);
+        }
+    });
+    comparisonContainer.addEventListener('click', (e) => {
+        if (!comparisonRun) return;
+        if (e.target.classList.contains('compare-diff-btn')) {
+            comparisonRun.diffMode = !comparisonRun.diffMode;
+            renderComparison();
+        } else if (e.target.classList.contains('compare-cancel-btn')) {
+            cancelComparison();
+        } else if (e.target.classList.contains('compare-close-btn')) {
+            cancelComparison();
+            comparisonRun = null;
+            renderComparison();
+        } else if (e.target.classList.contains('compare-copy-btn')) {
+            const index = parseInt(e.target.dataset.index);
+            copyTextToClipboard(comparisonRun.columns[index].output);
+        }
+    });
+
+    synthesizeBtn.addEventListener('click', handleSynthesize);
+
+    // Pipelines
+    pipelineSelect.addEventListener('change', () => {
+        loadPipelineIntoEditor(pipelineSelect.value);
+        updateButtonStates();
+        updatePreflightSummary();
+    });
+    addPipelineStepBtn.addEventListener('click', () => {
+        renderPipelineSteps([...readPipelineSteps(), { promptName: '', input: 'previous', provider: '', modelName: '' }]);
+    });
+    savePipelineBtn.addEventListener('click', handleSavePipeline);
+    deletePipelineBtn.addEventListener('click', handleDeletePipeline);
+    pipelineSteps.addEventListener('click', (e) => {
+        if (e.target.classList.contains('pipeline-step-remove')) {
+            const steps = readPipelineSteps();
+            steps.splice(parseInt(e.target.dataset.step, 10), 1);
+            renderPipelineSteps(steps);
+        }
+    });
+    synthesisContainer.addEventListener('click', (e) => {
+        if (!synthesisRun) return;
+        if (e.target.classList.contains('synthesis-cancel-btn')) {
+            synthesisRun.controller.abort();
+        } else if (e.target.classList.contains('synthesis-close-btn')) {
+            synthesisRun.controller.abort();
+            synthesisRun = null;
+            renderSynthesis();
+        } else if (e.target.classList.contains('synthesis-copy-btn')) {
+            copyTextToClipboard(synthesisRun.output);
+        }
+    });
+
+    // Control buttons
+    parseBtn.addEventListener('click', handleParse);
+    cancelBtn.addEventListener('click', cancelAllResults);
+    clearBtn.addEventListener('click', handleClearAll);
+    exportBtn.addEventListener('click', handleExportAll);
+
+    // Auth buttons and modal
+    if (loginBtn) {
+        loginBtn.addEventListener('click', () => openAuthModal('login'));
+    }
+    if (logoutBtn) logoutBtn.addEventListener('click', handleLogout);
+    if (authModalClose) authModalClose.addEventListener('click', closeAuthModal);
+    if (authToggleBtn) authToggleBtn.addEventListener('click', () => {
+        openAuthModal(isAuthMode === 'login' ? 'signup' : 'login');
+    });
+    if (authForm) authForm.addEventListener('submit', handleAuthSubmit);
+
+    // Close modal when clicking outside
+    if (authModal) {
+        authModal.addEventListener('click', (e) => {
+            if (e.target === authModal) closeAuthModal();
+        });
+    }
+
+    // History modal
+    if (historyBtn) historyBtn.addEventListener('click', openHistoryModal);
+
+    // Usage and model prices
+    usageBtn.addEventListener('click', openUsageModal);
+    usageModalClose.addEventListener('click', closeUsageModal);
+    usageModal.addEventListener('click', (e) => {
+        if (e.target === usageModal) {
+            closeUsageModal();
+        } else if (e.target.classList.contains('model-price-remove')) {
+            e.target.closest('tr').remove();
+        }
+    });
+    addModelPriceBtn.addEventListener('click', () => {
+        renderModelPricesTable([...readModelPricesTable(), { model: '', input: 0, output: 0 }]);
+    });
+    saveModelPricesBtn.addEventListener('click', handleSaveModelPrices);
+    resetModelPricesBtn.addEventListener('click', () => renderModelPricesTable(DEFAULT_MODEL_PRICES));
+    promptVersionsBtn.addEventListener('click', openPromptVersionsModal);
+    promptVersionsModalClose.addEventListener('click', closePromptVersionsModal);
+    promptVersionsModal.addEventListener('click', (e) => {
+        if (e.target === promptVersionsModal) {
+            closePromptVersionsModal();
+        } else if (e.target.classList.contains('prompt-version-diff-btn')) {
+            showPromptVersionDiff(parseInt(e.target.dataset.version, 10));
+        } else if (e.target.classList.contains('prompt-version-restore-btn')) {
+            restorePromptVersion(parseInt(e.target.dataset.version, 10));
+        }
+    });
+
+    templateRunBtn.addEventListener('click', () => closeTemplateModal(true));
+    templateCancelBtn.addEventListener('click', () => closeTemplateModal(false));
+    templateModalClose.addEventListener('click', () => closeTemplateModal(false));
+    templateModal.addEventListener('click', (e) => {
+        if (e.target === templateModal) closeTemplateModal(false);
+    });
+    templateValuesTable.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') closeTemplateModal(true);
+    });
+
+    if (historyModalClose) historyModalClose.addEventListener('click', closeHistoryModal);
+    if (historyModal) {
+        historyModal.addEventListener('click', (e) => {
+            if (e.target === historyModal) closeHistoryModal();
+        });
+    }
+    historySearchInput?.addEventListener('input', handleHistorySearch);
+    historyList?.addEventListener('click', (e) => {
+        const entry = e.target.dataset.id ? findHistoryEntry(e.target.dataset.id) : null;
+        if (!entry) return;
+
+        if (e.target.classList.contains('history-open-btn')) {
+            reopenHistoryEntry(entry);
+        } else if (e.target.classList.contains('history-copy-btn')) {
+            copyTextToClipboard(entry.output);
+        } else if (e.target.classList.contains('history-delete-btn')) {
+            deleteHistoryEntry(entry.id);
+        }
+    });
+
+    // Settings modal
+    if (settingsBtn) settingsBtn.addEventListener('click', openSettingsModal);
+    if (settingsModalClose) settingsModalClose.addEventListener('click', closeSettingsModal);
+    if (settingsModal) {
+        settingsModal.addEventListener('click', (e) => {
+            if (e.target === settingsModal) closeSettingsModal();
+        });
+    }
+
+    // Default prompt updates
+    defaultUpdatesBtn.addEventListener('click', openDefaultUpdatesModal);
+    defaultUpdatesModalClose.addEventListener('click', closeDefaultUpdatesModal);
+    defaultUpdatesModal.addEventListener('click', (e) => {
+        if (e.target === defaultUpdatesModal) {
+            closeDefaultUpdatesModal();
+        } else if (e.target.classList.contains('default-update-diff-btn')) {
+            toggleDefaultUpdateDiff(parseInt(e.target.dataset.index, 10));
+        } else if (e.target.classList.contains('default-update-btn')) {
+            resolveDefaultUpdate(parseInt(e.target.dataset.index, 10), e.target.dataset.choice);
+        }
+    });
+
+    // Prompt import/export
+    exportPromptsBtn.addEventListener('click', openPromptExport);
+    importPromptsBtn.addEventListener('click', () => importPromptsInput.click());
+    importPromptsInput.addEventListener('change', (e) => {
+        if (e.target.files[0]) handleImportFile(e.target.files[0]);
+        e.target.value = ''; // Allow importing the same file again
+    });
+    promptFileModalClose.addEventListener('click', closePromptFileModal);
+    promptFileCancelBtn.addEventListener('click', closePromptFileModal);
+    promptFileConfirmBtn.addEventListener('click', confirmPromptFile);
+    promptFileModal.addEventListener('click', (e) => {
+        if (e.target === promptFileModal) closePromptFileModal();
+    });
+    promptFileModal.addEventListener('change', (e) => {
+        if (e.target.classList.contains('prompt-file-conflict-all') && e.target.value) {
+            promptFileTable.querySelectorAll('.prompt-file-conflict').forEach(select => {
+                select.value = e.target.value;
+            });
+        }
+    });
+
+    // Teams
+    createTeamBtn.addEventListener('click', handleCreateTeam);
+    teamsList.addEventListener('click', handleTeamsListClick);
+    teamsList.addEventListener('change', (e) => {
+        if (e.target.classList.contains('team-role-select')) {
+            runTeamAction({ action: 'setMemberRole', teamId: e.target.dataset.team, memberId: e.target.dataset.member, role: e.target.value });
+        }
+    });
+
+    // API Key save/delete buttons (one row per provider)
+    apiKeyRows.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-provider]');
+        if (!button) return;
+        if (button.classList.contains('api-key-save-btn')) saveApiKey(button.dataset.provider);
+        if (button.classList.contains('api-key-delete-btn')) deleteApiKey(button.dataset.provider);
+    });
+}
+
+// File Upload Handlers
+function handleFileSelect(e) {
+    const files = Array.from(e.target.files);
+    addFiles(files);
+    fileInput.value = ''; // Reset input
+}
+
+function handleDragOver(e) {
+    e.preventDefault();
+    uploadZone.classList.add('drag-over');
+}
+
+function handleDragLeave(e) {
+    e.preventDefault();
+    uploadZone.classList.remove('drag-over');
+}
+
+function handleDrop(e) {
+    e.preventDefault();
+    uploadZone.classList.remove('drag-over');
+
+    addFiles(Array.from(e.dataTransfer.files));
+}
+
+function addFiles(files) {
+    // Keep only formats with a registered extractor
+    const supportedFiles = files.filter(file => getExtractor(file));
+    const skipped = files.length - supportedFiles.length;
+    if (skipped > 0) {
+        showToast(`Skipped ${skipped} unsupported file${skipped === 1 ? '' : 's'} (supported: ${getSupportedExtensions().join(', ')})`, 'warning');
+    }
+
+    // Add to uploaded files (avoid duplicates)
+    supportedFiles.forEach(file => {
+        if (!uploadedFiles.find(f => f.name === file.name)) {
+            uploadedFiles.push(file);
+            classifyFile(file);
+            estimateFile(file);
+        }
+    });
+
+    // Sort alphabetically
+    uploadedFiles.sort((a, b) => a.name.localeCompare(b.name));
+
+    updateUI();
+}
+
+function removeFileByIndex(index) {
+    const [file] = uploadedFiles.splice(index, 1);
+    fileAssignments.delete(file.name);
+    fileEstimates.delete(file.name);
+    updateUI();
+}
+
+// PDF Text Extraction
+
+// Pages whose text layer has fewer readable characters than this (or is mostly
+// symbols, as with broken font encodings) are treated as scanned and OCR'd
+const MIN_PAGE_TEXT_CHARS = 40;
+const MIN_READABLE_RATIO = 0.5;
+const OCR_RENDER_SCALE = 2; // Higher resolution render gives much better OCR accuracy
+
+var ocrWorkerPromise = null; // Shared Tesseract worker, created on first scanned page
+
+function needsOcr(pageText) {
+    const visible = pageText.replace(/\s/g, '');
+    if (visible.length < MIN_PAGE_TEXT_CHARS) return true;
+    const readable = (visible.match(/[\p{L}\p{N}]/gu) || []).length;
+    return readable / visible.length < MIN_READABLE_RATIO;
+}
+
+function getOcrWorker() {
+    if (typeof Tesseract === 'undefined') {
+        throw new Error('OCR library not loaded');
+    }
+    if (!ocrWorkerPromise) {
+        ocrWorkerPromise = Tesseract.createWorker('eng').catch(error => {
+            ocrWorkerPromise = null; // Allow a later file to try again
+            throw error;
+        });
+    }
+    return ocrWorkerPromise;
+}
+
+// Render the page to a canvas and read it with Tesseract
+async function ocrPage(page) {
+    const viewport = page.getViewport({ scale: OCR_RENDER_SCALE });
+    const canvas = document.createElement('canvas');
+    canvas.width = viewport.width;
+    canvas.height = viewport.height;
+    await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+
+    const worker = await getOcrWorker();
+    const { data } = await worker.recognize(canvas);
+    canvas.width = canvas.height = 0; // Release the bitmap memory straight away
+    return data.text.replace(/\s+/g, ' ').trim();
+}
+
+// Returns { text, pages, pageCount, ocrPageCount, ocrFailedCount }. Pages without a usable
+// text layer are OCR'd; onProgress (optional) receives status text while that happens.
+// A page whose OCR fails keeps its text layer and counts towards ocrFailedCount.
+async function extractTextFromPDF(file, onProgress) {
+    let pdf;
+    let pageCount = 0;
+    let ocrPageCount = 0;
+    let ocrFailedCount = 0;
+    const pages = [];
+
+    try {
+        const arrayBuffer = await file.arrayBuffer();
+        pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
+        pageCount = pdf.numPages;
+
+        // Extract text from each page
+        for (let i = 1; i <= pdf.numPages; i++) {
+            const page = await pdf.getPage(i);
+            const textContent = await page.getTextContent();
+            // Keep the line breaks so the normalizer can find speaker lines and headers
+            let pageText = textContent.items.map(item => item.hasEOL ? `${item.str}\n` : item.str).join(' ');
+
+            if (needsOcr(pageText)) {
+                if (onProgress) onProgress(`Running OCR on page ${i} of ${pdf.numPages}...`);
+                try {
+                    const ocrText = await ocrPage(page);
+                    // Keep whichever version has more to read
+                    if (ocrText.length > pageText.trim().length) {
+                        pageText = ocrText;
+                        ocrPageCount++;
+                    }
+                } catch (error) {
+                    console.error(`OCR failed on page ${i} of ${file.name}:`, error);
+                    ocrFailedCount++;
+                }
+            }
+
+            page.cleanup();
+            pages.push(pageText);
+        }
+    } finally {
+        if (pdf) pdf.destroy();
+    }
+
+    return { text: pages.join('\n\n').trim(), pages, pageCount, ocrPageCount, ocrFailedCount };
+}
+
+function formatOcrSummary(extracted) {
+    if (!extracted || (!extracted.ocrPageCount && !extracted.ocrFailedCount)) return '';
+    const summary = `OCR: ${extracted.ocrPageCount} of ${extracted.pageCount} page${extracted.pageCount === 1 ? '' : 's'}`;
+    return extracted.ocrFailedCount ? `${summary} (failed on ${extracted.ocrFailedCount})` : summary;
+}
+
+// ============================================
+// TRANSCRIPT EXTRACTORS
+// ============================================
+
+// One extractor per input format. extract(file, onProgress) resolves to
+// { text } plus any format-specific details (PDFs add pages/pageCount/ocrPageCount/ocrFailedCount).
+// Add a format with registerExtractor - upload filtering, the file picker and
+// the file list badges all come from this registry.
+const TRANSCRIPT_EXTRACTORS = [];
+
+function registerExtractor(extractor) {
+    TRANSCRIPT_EXTRACTORS.push(extractor);
+}
+
+function getFileExtension(filename) {
+    const dot = filename.lastIndexOf('.');
+    return dot === -1 ? '' : filename.slice(dot).toLowerCase();
+}
+
+// Match on extension first; browsers often report an empty or generic MIME type
+function getExtractor(file) {
+    const extension = getFileExtension(file.name);
+    return TRANSCRIPT_EXTRACTORS.find(extractor => extractor.extensions.includes(extension))
+        || TRANSCRIPT_EXTRACTORS.find(extractor => file.type && extractor.mimeTypes.includes(file.type))
+        || null;
+}
+
+function getSupportedExtensions() {
+    return TRANSCRIPT_EXTRACTORS.flatMap(extractor => extractor.extensions);
+}
+
+var extractionCache = new WeakMap(); // File -> { promise, listeners, progress } for the extractor's output
+
+// Each file is read only once: the pre-flight estimate, parsing, retries and
+// comparisons all share the same extraction. Failed reads are dropped so they can
+// be tried again. Every caller waiting on a read gets its onProgress updates, so a
+// parse started during the pre-flight read still shows OCR progress.
+function getCachedExtraction(file, extractor, onProgress) {
+    let entry = extractionCache.get(file);
+    if (!entry) {
+        entry = { listeners: new Set(), progress: '' };
+        const current = entry;
+        entry.promise = extractor.extract(file, (progressText) => {
+            current.progress = progressText;
+            current.listeners.forEach(listener => listener(progressText));
+        }).catch(error => {
+            extractionCache.delete(file);
+            throw error;
+        });
+        extractionCache.set(file, entry);
+    }
+
+    if (onProgress) {
+        if (entry.progress) onProgress(entry.progress); // Catch up a caller that joins mid-read
+        entry.listeners.add(onProgress);
+        const removeListener = () => entry.listeners.delete(onProgress);
+        entry.promise.then(removeListener, removeListener);
+    }
+    return entry.promise;
+}
+
+// Extract text with the right extractor for the file, then normalize it into
+// the transcript format that is sent to the LLM (see TRANSCRIPT NORMALIZER).
+// Throws if no text could be read at all, so empty transcripts never reach the LLM.
+async function extractTranscriptText(file, onProgress, format = DEFAULT_TRANSCRIPT_FORMAT) {
+    const extractor = getExtractor(file);
+    if (!extractor) {
+        throw new Error(`Unsupported file type: ${file.name}`);
+    }
+
+    let extracted;
+    try {
+        // Copied, since the normalized text below must not change the cached extraction
+        extracted = { ...await getCachedExtraction(file, extractor, onProgress) };
+    } catch (error) {
+        console.error(`Error extracting ${extractor.label} text:`, error);
+        throw new Error(`Failed to extract text from ${file.name}: ${error.message}`);
+    }
+
+    const normalized = normalizeTranscript(extracted);
+    extracted.rawText = extracted.text;
+    extracted.structure = normalized.structure;
+    if (format === 'json' && normalized.structure) {
+        extracted.text = JSON.stringify(normalized.structure, null, 2);
+    } else if (format !== 'raw') {
+        extracted.text = normalized.text;
+    } else if (extracted.pages) {
+        extracted.text = extracted.pages.map((page, i) => `${formatPageAnchor(i + 1)}\n${page.trim()}`).join('\n\n');
+    }
+
+    if (!extracted.text.trim()) {
+        const hint = extractor.type === 'pdf' ? ', even with OCR' : '';
+        throw new Error(`No text found in ${file.name}${hint} - nothing was sent to the LLM`);
+    }
+
+    return extracted;
+}
+
+// Line endings, non-breaking spaces and runs of blank lines
+function normalizeWhitespace(text) {
+    return text
+        .replace(/\r\n?/g, '\n')
+        .replace(/\u00a0/g, ' ')
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+async function extractTextFromPlainText(file) {
+    return { text: normalizeWhitespace(await file.text()) };
+}
+
+async function extractTextFromDocx(file) {
+    if (typeof mammoth === 'undefined') {
+        throw new Error('DOCX library not loaded');
+    }
+    const { value } = await mammoth.extractRawText({ arrayBuffer: await file.arrayBuffer() });
+    return { text: normalizeWhitespace(value) };
+}
+
+const HTML_BLOCK_SELECTOR = 'p, div, li, tr, br, h1, h2, h3, h4, h5, h6, section, article, blockquote, pre';
+const HTML_NOISE_SELECTOR = 'script, style, noscript, template, svg, nav, header, footer, aside, form, iframe';
+
+// Saved web pages: drop scripts and page chrome, keep one line per block element
+async function extractTextFromHtml(file) {
+    const doc = new DOMParser().parseFromString(await file.text(), 'text/html');
+    doc.querySelectorAll(HTML_NOISE_SELECTOR).forEach(el => el.remove());
+    doc.querySelectorAll(HTML_BLOCK_SELECTOR).forEach(el => el.after(doc.createTextNode('\n')));
+
+    const lines = (doc.body ? doc.body.textContent : '')
+        .split('\n')
+        .map(line => line.replace(/\s+/g, ' ').trim());
+    return { text: normalizeWhitespace(lines.join('\n')) };
+}
+
+// Caption files (WebVTT from Zoom/Teams, SRT). Cues are merged into speaker turns
+// of the form "[00:01:23] Jane Doe: ...". Without speaker labels, consecutive cues
+// are grouped into paragraphs of about a minute.
+const CAPTION_PARAGRAPH_SECONDS = 60;
+const CAPTION_SPEAKER_PATTERN = /^([A-Z][\w.'&-]*(?: [\w.'&()-]+){0,5}):\s+(.+)$/;
+
+function parseCaptionTimestamp(value) {
+    const parts = value.trim().replace(',', '.').split(':').map(Number);
+    return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+function formatCaptionTimestamp(seconds) {
+    const whole = Math.floor(seconds);
+    return [Math.floor(whole / 3600), Math.floor(whole / 60) % 60, whole % 60]
+        .map(part => String(part).padStart(2, '0'))
+        .join(':');
+}
+
+function decodeCaptionEntities(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+function parseCaptionCues(source) {
+    const cues = [];
+
+    source.replace(/\r\n?/g, '\n').split(/\n{2,}/).forEach(block => {
+        const lines = block.split('\n');
+        const timingIndex = lines.findIndex(line => line.includes('-->'));
+        if (timingIndex === -1) return; // WEBVTT header, NOTE, STYLE, REGION
+
+        let speaker = '';
+        let text = lines.slice(timingIndex + 1).join(' ');
+
+        // WebVTT voice tag: <v Jane Doe>text</v>
+        const voice = text.match(/<v(?:\.[^\s>]+)*\s+([^>]+)>/);
+        if (voice) speaker = voice[1].trim();
+
+        text = decodeCaptionEntities(text.replace(/<[^>]+>/g, '')).replace(/\s+/g, ' ').trim();
+
+        // Zoom/Teams style: "Jane Doe: text"
+        const labelled = !speaker && text.match(CAPTION_SPEAKER_PATTERN);
+        if (labelled) {
+            speaker = labelled[1];
+            text = labelled[2];
+        }
+
+        if (text) {
+            cues.push({ start: parseCaptionTimestamp(lines[timingIndex].split('-->')[0]), speaker, text });
+        }
+    });
+
+    return cues;
+}
+
+async function extractTextFromCaptions(file) {
+    const turns = [];
+
+    parseCaptionCues(await file.text()).forEach(cue => {
+        const last = turns[turns.length - 1];
+        const continues = last && last.speaker === cue.speaker
+            && (cue.speaker || cue.start - last.start < CAPTION_PARAGRAPH_SECONDS);
+
+        if (continues) {
+            // Rolling captions repeat the previous line; skip exact repeats
+            if (!last.text.endsWith(cue.text)) last.text += ` ${cue.text}`;
+        } else {
+            turns.push({ ...cue });
+        }
+    });
+
+    const text = turns
+        .map(turn => `[${formatCaptionTimestamp(turn.start)}] ${turn.speaker ? `${turn.speaker}: ` : ''}${turn.text}`)
+        .join('\n\n');
+    return { text };
+}
+
+registerExtractor({ type: 'pdf', label: 'PDF', extensions: ['.pdf'], mimeTypes: ['application/pdf'], extract: extractTextFromPDF });
+registerExtractor({
+    type: 'docx',
+    label: 'DOCX',
+    extensions: ['.docx'],
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    extract: extractTextFromDocx
+});
+registerExtractor({ type: 'text', label: 'TXT', extensions: ['.txt', '.md', '.markdown'], mimeTypes: ['text/plain', 'text/markdown'], extract: extractTextFromPlainText });
+registerExtractor({ type: 'html', label: 'HTML', extensions: ['.html', '.htm'], mimeTypes: ['text/html'], extract: extractTextFromHtml });
+registerExtractor({ type: 'captions', label: 'Captions', extensions: ['.vtt', '.srt'], mimeTypes: ['text/vtt', 'application/x-subrip'], extract: extractTextFromCaptions });
+
+// ============================================
+// TRANSCRIPT NORMALIZER
+// ============================================
+
+// Rebuilds extracted text as speaker turns ("Tim Cook (CEO): ..."), split into
+// prepared remarks and Q&A, with repeated page headers/footers and page numbers
+// removed. The same structure is available as JSON. If too few speaker turns are
+// found the cleaned text is sent without restructuring. PDF text keeps "[p. 3]"
+// page anchors at each turn and page break so the model can cite pages (see CITATIONS).
+
+const TRANSCRIPT_FORMATS = ['structured', 'json', 'raw'];
+const DEFAULT_TRANSCRIPT_FORMAT = 'structured';
+const MIN_SPEAKER_TURNS = 2;
+const PAGE_EDGE_LINES = 2; // Lines at the top/bottom of each page checked for headers/footers
+const MIN_REPEATED_PAGES = 3;
+const MAX_PARTICIPANT_LINES = 40;
+const MIN_UNLISTED_SPEAKER_TURNS = 3; // Single-word names not in the participants list
+
+const PAGE_NUMBER_PATTERN = /^(?:page\s*)?\d+(?:\s*(?:of|\/)\s*\d+)?$/i;
+const PARTICIPANTS_HEADING_PATTERN = /^(corporate participants|company participants|company representatives|executives|conference call participants|call participants|analysts)\s*:?$/i;
+const ANALYST_HEADING_PATTERN = /conference call|call participants|analysts/i;
+const QA_HEADING_PATTERN = /^(?:question[-\s]and[-\s]answers?(?: session)?|questions? (?:and|&) answers?|q\s*&\s*a(?: session)?)\s*:?$/i;
+const QA_OPERATOR_PATTERN = /question[-\s]and[-\s]answer|first question|(?:open|turn) (?:up )?the (?:line|call|floor) (?:for|to) questions|take (?:your |some )?questions/i;
+// Line labels in prepared remarks and slides ("Revenue:", "Guidance:") that would
+// otherwise pass for a speaker name
+const NON_SPEAKER_LABEL_PATTERN = /^(?:revenues?|sales|bookings|guidance|outlook|highlights?|summary|overview|margins?|gross margin|operating margin|operating income|operating expenses|net income|net revenue|earnings|eps|ebitda|ebit|opex|capex|cash|cash flow|free cash flow|balance sheet|backlog|dividends?|buybacks?|total|segment|segments|results|q[1-4]|fy\s?\d*|full year|quarter|note|notes|source|sources|disclaimer|agenda|forward-looking statements|safe harbor|key metrics|financials?)$/i;
+const EXEC_TITLE_PATTERN = /\b(?:chief|officer|president|chair(?:man|woman|person)?|director|head|vice|vp|evp|svp|treasurer|controller|founder|ceo|cfo|coo|cto|investor relations|ir)\b/i;
+
+// "Tim Cook", "Mary T. Barra", "Jean-Pierre de la Cruz"; an optional detail follows as
+// " - CEO", ", Goldman Sachs" or " (Morgan Stanley)"
+const SPEAKER_NAME = "[A-Z][\\w.'’-]*(?: (?:[A-Z][\\w.'’&-]*|de|van|von|da|di|la|le)){0,4}";
+const SPEAKER_DETAIL = '(?:\\s*\\(([^)]{2,80})\\)|\\s*[-–—,]\\s*([^:]{2,80}?))?';
+const TIMESTAMP_PREFIX = '(?:\\[(\\d{2}:\\d{2}:\\d{2})\\]\\s*)?';
+const INLINE_TURN_PATTERN = new RegExp(`^${TIMESTAMP_PREFIX}(${SPEAKER_NAME})${SPEAKER_DETAIL}\\s*:\\s+(.+)$`);
+const SPEAKER_LINE_PATTERN = new RegExp(`^${TIMESTAMP_PREFIX}(${SPEAKER_NAME})${SPEAKER_DETAIL}\\s*:?$`);
+const OPERATOR_PATTERN = new RegExp(`^${TIMESTAMP_PREFIX}operator\\s*(?:[:\\-–—]\\s*(.*))?$`, 'i');
+
+function getTranscriptFormat() {
+    return TRANSCRIPT_FORMATS.includes(transcriptFormatSelect.value) ? transcriptFormatSelect.value : DEFAULT_TRANSCRIPT_FORMAT;
+}
+
+function loadTranscriptFormat() {
+    const saved = localStorage.getItem('transcriptFormat');
+    transcriptFormatSelect.value = TRANSCRIPT_FORMATS.includes(saved) ? saved : DEFAULT_TRANSCRIPT_FORMAT;
+}
+
+function saveTranscriptFormat() {
+    localStorage.setItem('transcriptFormat', getTranscriptFormat());
+}
+
+function formatPageAnchor(pageNumber) {
+    return `[p. ${pageNumber}]`;
+}
+
+// Headers/footers differ between pages only by page number or date
+function pageLineKey(line) {
+    return line.toLowerCase().replace(/\d+/g, '#');
+}
+
+function isPageEdgeLine(index, pageLines) {
+    return index < PAGE_EDGE_LINES || index >= pageLines.length - PAGE_EDGE_LINES;
+}
+
+// Lines that appear at the top or bottom of at least half the pages
+function findRepeatedPageLines(pages) {
+    const repeated = new Set();
+    if (pages.length < MIN_REPEATED_PAGES) return repeated;
+
+    const counts = new Map();
+    pages.forEach(pageLines => {
+        const keys = new Set(pageLines.filter((line, i) => isPageEdgeLine(i, pageLines)).map(pageLineKey));
+        keys.forEach(key => counts.set(key, (counts.get(key) || 0) + 1));
+    });
+
+    const threshold = Math.max(MIN_REPEATED_PAGES, Math.ceil(pages.length / 2));
+    counts.forEach((count, key) => {
+        if (count >= threshold) repeated.add(key);
+    });
+    return repeated;
+}
+
+// Split into trimmed lines per page, dropping page numbers and running headers/footers.
+// The first copy of a running header (top of page) is kept, as it is often the title.
+function cleanTranscriptPages(extracted) {
+    const pages = (extracted.pages || [extracted.text]).map(page =>
+        page.split('\n').map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean)
+    );
+    const repeated = findRepeatedPageLines(pages);
+    const seen = new Set();
+    let strippedLineCount = 0;
+
+    const cleaned = pages.map(pageLines => pageLines.filter((line, i) => {
+        const key = pageLineKey(line);
+        // A bare number is only a page number at the top or bottom of the page
+        const strip = isPageEdgeLine(i, pageLines) && (PAGE_NUMBER_PATTERN.test(line)
+            || (repeated.has(key) && (seen.has(key) || i >= PAGE_EDGE_LINES)));
+        seen.add(key);
+        if (strip) strippedLineCount++;
+        return !strip;
+    }));
+
+    return { pages: cleaned, strippedLineCount };
+}
+
+// Split a speaker detail ("Apple Inc. - CEO", "Morgan Stanley") into role and firm
+function describeSpeaker(name, detail, isAnalyst) {
+    if (/^operator$/i.test(name)) return { name: 'Operator', role: 'Operator', firm: '' };
+
+    const parts = (detail || '').split(/\s*[-–—,]\s*/).filter(Boolean);
+    const titles = parts.filter(part => EXEC_TITLE_PATTERN.test(part));
+    const firm = parts.filter(part => !EXEC_TITLE_PATTERN.test(part) && !/analyst/i.test(part)).join(', ');
+
+    let role = titles.join(', ');
+    if (/chief executive|\bceo\b/i.test(role)) role = 'CEO';
+    else if (/chief financial|\bcfo\b/i.test(role)) role = 'CFO';
+    else if (/investor relations|\bir\b/i.test(role)) role = 'Investor Relations';
+    else if (isAnalyst || /analyst/i.test(detail || '')) role = 'Analyst';
+
+    return { name, role, firm };
+}
+
+// "Corporate Participants" / "Conference Call Participants" lists at the top of
+// FactSet, S&P and Seeking Alpha transcripts. Returns the participants by name and
+// the line indexes the lists occupy.
+function parseParticipants(lines) {
+    const participants = new Map();
+    const listLines = new Set();
+
+    lines.forEach((line, i) => {
+        const heading = line.match(PARTICIPANTS_HEADING_PATTERN);
+        if (!heading) return;
+
+        const isAnalyst = ANALYST_HEADING_PATTERN.test(heading[1]);
+        listLines.add(i);
+        for (let j = i + 1; j < lines.length && j <= i + MAX_PARTICIPANT_LINES; j++) {
+            const match = lines[j].match(SPEAKER_LINE_PATTERN);
+            const detail = match && (match[3] || match[4]);
+            // Entries need a detail or a full name, so the next heading ends the list
+            if (!match || PARTICIPANTS_HEADING_PATTERN.test(lines[j]) || (!detail && !match[2].includes(' '))) break;
+            participants.set(match[2], describeSpeaker(match[2], detail, isAnalyst));
+            listLines.add(j);
+        }
+    });
+
+    return { participants, listLines };
+}
+
+// A line that may start a speaker turn: { name, detail, text, timestamp } or null
+function matchSpeakerTurn(line) {
+    const operator = line.match(OPERATOR_PATTERN);
+    if (operator) return { name: 'Operator', detail: '', text: operator[2] || '', timestamp: operator[1] };
+
+    const inline = line.match(INLINE_TURN_PATTERN);
+    if (inline) return { name: inline[2], detail: inline[3] || inline[4] || '', text: inline[5], timestamp: inline[1] };
+
+    const standalone = line.length <= 120 && line.match(SPEAKER_LINE_PATTERN);
+    if (standalone) return { name: standalone[2], detail: standalone[3] || standalone[4] || '', text: '', timestamp: standalone[1] };
+
+    return null;
+}
+
+function normalizeTranscript(extracted) {
+    const { pages, strippedLineCount } = cleanTranscriptPages(extracted);
+    const hasPages = Boolean(extracted.pages);
+    const cleanedText = pages
+        .map((pageLines, p) => (hasPages ? [formatPageAnchor(p + 1), ...pageLines] : pageLines).join('\n'))
+        .join('\n\n');
+    const lines = pages.flat();
+    const linePages = hasPages ? pages.flatMap((pageLines, p) => pageLines.map(() => p + 1)) : null;
+    const { participants, listLines } = parseParticipants(lines);
+
+    // Pass 1: candidate turn starts. A name only counts as a speaker if it is a listed
+    // participant, has a caption timestamp, or is name-shaped and starts enough turns
+    // (two for a full name, three for a single word), which filters out lines like
+    // "Revenue: $5B".
+    const candidates = lines.map((line, i) => listLines.has(i) ? null : matchSpeakerTurn(line));
+    const turnCounts = new Map();
+    candidates.forEach(candidate => {
+        if (candidate) turnCounts.set(candidate.name, (turnCounts.get(candidate.name) || 0) + 1);
+    });
+    const isUnlistedSpeaker = name => !NON_SPEAKER_LABEL_PATTERN.test(name)
+        && turnCounts.get(name) >= (name.includes(' ') ? 2 : MIN_UNLISTED_SPEAKER_TURNS);
+    const isSpeaker = candidate => candidate && (
+        candidate.name === 'Operator' || candidate.timestamp || participants.has(candidate.name)
+        || isUnlistedSpeaker(candidate.name)
+    );
+
+    // Pass 2: group lines into turns. A page anchor is added wherever a block of
+    // lines continues onto a new page.
+    const header = { lines: [], page: null };
+    const turns = [];
+    let qaStart = -1;
+
+    const addLine = (block, i) => {
+        if (linePages && linePages[i] !== block.page) {
+            block.lines.push(formatPageAnchor(linePages[i]));
+            block.page = linePages[i];
+        }
+        block.lines.push(lines[i]);
+    };
+
+    lines.forEach((line, i) => {
+        if (listLines.has(i)) return;
+        if (QA_HEADING_PATTERN.test(line)) {
+            if (qaStart === -1) qaStart = turns.length;
+            return;
+        }
+
+        const candidate = candidates[i];
+        if (isSpeaker(candidate)) {
+            if (!participants.has(candidate.name) || (candidate.detail && !participants.get(candidate.name).role)) {
+                participants.set(candidate.name, describeSpeaker(candidate.name, candidate.detail, false));
+            }
+            const page = linePages ? linePages[i] : null;
+            turns.push({ ...participants.get(candidate.name), timestamp: candidate.timestamp, startPage: page, page, lines: candidate.text ? [candidate.text] : [] });
+        } else if (turns.length > 0) {
+            addLine(turns[turns.length - 1], i);
+        } else {
+            addLine(header, i);
+        }
+    });
+
+    if (turns.length < MIN_SPEAKER_TURNS) {
+        return { text: cleanedText, structure: null };
+    }
+
+    // No Q&A heading: Q&A starts where the operator opens the line for questions
+    if (qaStart === -1) {
+        qaStart = turns.findIndex((turn, i) => i > 0 && turn.role === 'Operator' && QA_OPERATOR_PATTERN.test(turn.lines.join(' ')));
+    }
+
+    const toJson = turn => ({
+        speaker: turn.name,
+        role: turn.role,
+        firm: turn.firm,
+        ...(turn.timestamp && { timestamp: turn.timestamp }),
+        ...(turn.startPage && { page: turn.startPage }),
+        text: turn.lines.join(' ')
+    });
+    const structure = {
+        header: header.lines.join('\n'),
+        participants: [...participants.values()].filter(p => p.role !== 'Operator'),
+        preparedRemarks: (qaStart === -1 ? turns : turns.slice(0, qaStart)).map(toJson),
+        questionAndAnswer: (qaStart === -1 ? [] : turns.slice(qaStart)).map(toJson),
+        strippedLineCount
+    };
+
+    return { text: formatStructuredTranscript(structure), structure };
+}
+
+function formatSpeakerLabel(turn) {
+    const name = turn.speaker || turn.name;
+    const detail = [turn.role, turn.firm].filter(part => part && part !== name).join(', ');
+    return `${turn.timestamp ? `[${turn.timestamp}] ` : ''}${name}${detail ? ` (${detail})` : ''}`;
+}
+
+function formatStructuredTranscript(structure) {
+    const sections = [];
+    if (structure.header) sections.push(structure.header);
+    if (structure.participants.length > 0) {
+        sections.push(['PARTICIPANTS', ...structure.participants.map(p => `- ${formatSpeakerLabel(p)}`)].join('\n'));
+    }
+
+    const formatTurns = turns => turns.map(turn => `${turn.page ? `${formatPageAnchor(turn.page)} ` : ''}${formatSpeakerLabel(turn)}: ${turn.text}`);
+    if (structure.preparedRemarks.length > 0) {
+        sections.push('=== PREPARED REMARKS ===', ...formatTurns(structure.preparedRemarks));
+    }
+    if (structure.questionAndAnswer.length > 0) {
+        sections.push('=== QUESTION AND ANSWER SESSION ===', ...formatTurns(structure.questionAndAnswer));
+    }
+
+    return sections.join('\n\n');
+}
+
+function formatStructureSummary(extracted) {
+    const structure = extracted && extracted.structure;
+    if (!structure) return '';
+    const turnCount = structure.preparedRemarks.length + structure.questionAndAnswer.length;
+    return `${turnCount} speaker turns${structure.questionAndAnswer.length > 0 ? ' · Q&A found' : ''}`;
+}
+
+// ============================================
+// CITATIONS
+// ============================================
+
+// PDF transcripts are sent with "[p. 12]" page anchors (see normalizeTranscript).
+// Prompts ask for citations by including CITATION_INSTRUCTIONS (the "Cite Pages"
+// button), and the preview turns each [p. 12 "quote"] marker into a link that opens
+// the page in the PDF viewer. Quotes that cannot be found on the cited page (or the
+// start of the next one) are flagged, since the model may have cited the wrong page
+// or paraphrased.
+
+const CITATION_INSTRUCTIONS = `CITATIONS: The transcript contains page anchors such as [p. 12]. After every claim, figure or quote, cite its source as [p. 12 "exact quote"], using the page of the nearest anchor before the passage and 3 to 12 words copied exactly from the transcript. Use a separate marker for each source.`;
+const CITATION_PATTERN = /\[p(?:age|\.)?\s*(\d+)(?:\s*[,:]?\s*["“]([^"”\]]+)["”])?\]/gi;
+const CITATION_BOUNDARY_CHARS = 500; // Quotes may run from the end of a page onto the next
+
+var normalizedPagesCache = new WeakMap(); // pages array -> letters and digits only, lowercased
+
+function addCitationInstructions() {
+    const prompt = promptInput.value.trimEnd();
+    if (prompt.includes(CITATION_INSTRUCTIONS)) {
+        showToast('This prompt already asks for citations', 'warning');
+        return;
+    }
+    promptInput.value = prompt ? `${prompt}\n\n${CITATION_INSTRUCTIONS}` : CITATION_INSTRUCTIONS;
+    updateUI();
+}
+
+// Spacing, punctuation and case differ between the PDF text layer and the model's quote
+function normalizeForMatch(text) {
+    return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+function getNormalizedPages(pages) {
+    if (!normalizedPagesCache.has(pages)) {
+        normalizedPagesCache.set(pages, pages.map(normalizeForMatch));
+    }
+    return normalizedPagesCache.get(pages);
+}
+
+// Returns a warning, or '' if the citation checks out
+function checkCitation({ page, quote }, pages) {
+    if (page < 1 || page > pages.length) return `Page ${page} is not in this ${pages.length}-page PDF`;
+    if (!quote) return '';
+
+    const normalized = getNormalizedPages(pages);
+    const needle = normalizeForMatch(quote);
+    const boundary = normalized[page - 1].slice(-CITATION_BOUNDARY_CHARS) + (normalized[page] || '').slice(0, CITATION_BOUNDARY_CHARS);
+    return normalized[page - 1].includes(needle) || boundary.includes(needle) ? '' : `Quote not found on page ${page}`;
+}
+
+// Markdown preview with citation markers as links. Markers are swapped for
+// placeholders first so marked leaves them alone.
+function renderCitedOutput(text, result, index) {
+    const citations = [];
+    const withPlaceholders = text.replace(CITATION_PATTERN, (marker, page, quote) => {
+        citations.push({ page: parseInt(page, 10), quote: quote ? quote.trim() : '' });
+        return `%%CITATION${citations.length - 1}%%`;
+    });
+    if (citations.length === 0) return convertMarkdownToHtmlPreview(text);
+
+    // Only the original PDF can be opened and checked (not results reopened from history)
+    const pages = result.file && result.pages ? result.pages : null;
+    let warningCount = 0;
+
+    const html = convertMarkdownToHtmlPreview(withPlaceholders).replace(/%%CITATION(\d+)%%/g, (placeholder, i) => {
+        const citation = citations[i];
+        const warning = pages ? checkCitation(citation, pages) : '';
+        if (warning) warningCount++;
+        const title = !pages ? 'The original PDF is not available for this result'
+            : warning || (citation.quote ? `Found on page ${citation.page}: "${citation.quote}"` : `Open page ${citation.page}`);
+
+        return `<button type="button" class="citation-link${warning ? ' citation-warning' : ''}" data-index="${index}" data-page="${citation.page}" data-quote="${escapeHtml(citation.quote)}" data-warning="${escapeHtml(warning)}" title="${escapeHtml(title)}"${pages ? '' : ' disabled'}>p. ${citation.page}${warning ? ' ⚠' : ''}</button>`;
+    });
+
+    const summary = pages
+        ? `<p class="citation-summary${warningCount ? ' has-warnings' : ''}">${citations.length} citation${citations.length === 1 ? '' : 's'}${warningCount ? ` · ${warningCount} not found on the cited page` : ' · all found on the cited pages'}</p>`
+        : '';
+    return summary + html;
+}
+
+// ============================================
+// PDF VIEWER
+// ============================================
+
+// Split view of a result: the original PDF on the left (pdf.js canvas plus a text
+// layer so passages can be selected and highlighted) and the result preview on the
+// right. Selecting text in the result, or clicking a citation, finds the passage in
+// the PDF and highlights it. Selecting a passage in the PDF offers a question about
+// it, answered with the whole transcript as context.
+
+const PDF_MIN_KEYWORD_LENGTH = 4;
+const PDF_MIN_SELECTION_CHARS = 3;
+const PDF_KEYWORD_STOPWORDS = new Set(['that', 'this', 'with', 'from', 'have', 'were', 'will', 'they', 'their', 'there', 'which', 'about', 'would', 'been', 'also', 'into', 'than', 'more']);
+
+var pdfViewer = null; // { result, pdf, pageNumber, highlight, note, renderTask, textLayerTask, textDivs, textItems, ask }
+
+function isPdfResult(result) {
+    return Boolean(result && result.file && result.pages);
+}
+
+// highlight (optional): { text, warning } - a citation quote or selected result text to find
+async function openPdfViewer(result, pageNumber = 1, highlight = null) {
+    if (!isPdfResult(result)) {
+        showToast('The original PDF is not available for this result', 'warning');
+        return;
+    }
+
+    if (!pdfViewer || pdfViewer.result !== result) {
+        closePdfViewer();
+        const viewer = { result, pdf: null, pageNumber: 1, highlight: null, note: null, renderTask: null, textLayerTask: null, textDivs: [], textItems: [], ask: null };
+        pdfViewer = viewer;
+        pdfViewerTitle.textContent = result.filename;
+        setPdfViewerNote('Loading PDF...');
+        renderPdfResultPane();
+        renderPdfAsk();
+        pdfViewerModal.classList.add('visible');
+
+        try {
+            viewer.pdf = await pdfjsLib.getDocument({ data: await result.file.arrayBuffer() }).promise;
+        } catch (error) {
+            console.error('Error opening PDF:', error);
+            showToast(`Could not open ${result.filename}: ${error.message}`, 'error');
+            if (pdfViewer === viewer) closePdfViewer();
+            return;
+        }
+        // Closed (or switched to another result) while loading
+        if (pdfViewer !== viewer) {
+            viewer.pdf.destroy();
+            return;
+        }
+    }
+
+    pdfViewerModal.classList.add('visible');
+    if (highlight && highlight.text) {
+        findInPdf(highlight.text, highlight.warning, pageNumber);
+    } else {
+        pdfViewer.highlight = null;
+        pdfViewer.note = highlight && highlight.warning ? { text: highlight.warning, isWarning: true } : null;
+        await showPdfPage(pageNumber);
+    }
+}
+
+function setPdfViewerNote(text, isWarning = false) {
+    pdfViewerNote.className = `pdf-viewer-note${isWarning ? ' citation-warning' : ''}`;
+    pdfViewerNote.textContent = text;
+}
+
+// Words worth matching when the exact text is not on any page (e.g. a paraphrase)
+function getPdfKeywords(text) {
+    const words = text.toLowerCase().match(/[\p{L}\p{N}][\p{L}\p{N}.,%$-]*/gu) || [];
+    return [...new Set(words
+        .map(normalizeForMatch)
+        .filter(word => /\d/.test(word) || (word.length >= PDF_MIN_KEYWORD_LENGTH && !PDF_KEYWORD_STOPWORDS.has(word))))];
+}
+
+// Find text on the PDF's pages and show the best page with it highlighted. Exact
+// matches (ignoring spacing and punctuation) win; otherwise the page sharing the
+// most keywords is shown. preferredPage (a citation's page) is tried first.
+function findInPdf(text, warning = '', preferredPage = null) {
+    const viewer = pdfViewer;
+    if (!viewer || !viewer.pdf) return;
+
+    const pages = getNormalizedPages(viewer.result.pages);
+    const needle = normalizeForMatch(text);
+    const exactPages = needle ? pages.map((page, i) => page.includes(needle) ? i + 1 : 0).filter(Boolean) : [];
+
+    if (exactPages.length > 0) {
+        const page = exactPages.includes(preferredPage) ? preferredPage : exactPages[0];
+        viewer.highlight = { page, exact: needle, keywords: [] };
+        viewer.note = {
+            text: warning || (exactPages.length > 1 ? `Found on ${exactPages.length} pages: ${exactPages.join(', ')}` : `Found on page ${page}`),
+            isWarning: Boolean(warning)
+        };
+        showPdfPage(page);
+        return;
+    }
+
+    const keywords = getPdfKeywords(text);
+    let bestPage = 0;
+    let bestScore = 0;
+    pages.forEach((page, i) => {
+        const score = keywords.filter(word => page.includes(word)).length;
+        if (score > bestScore || (score === bestScore && score > 0 && i + 1 === preferredPage)) {
+            bestPage = i + 1;
+            bestScore = score;
+        }
+    });
+
+    if (!bestPage) {
+        viewer.highlight = null;
+        viewer.note = { text: warning || 'Not found in the PDF', isWarning: true };
+        showPdfPage(preferredPage || viewer.pageNumber);
+        return;
+    }
+
+    viewer.highlight = { page: bestPage, exact: '', keywords };
+    viewer.note = { text: warning || `No exact match - closest page is ${bestPage} (${bestScore} of ${keywords.length} keywords)`, isWarning: true };
+    showPdfPage(bestPage);
+}
+
+async function showPdfPage(pageNumber) {
+    const viewer = pdfViewer;
+    if (!viewer || !viewer.pdf) return;
+
+    const pageCount = viewer.pdf.numPages;
+    viewer.pageNumber = Math.min(Math.max(pageNumber, 1), pageCount);
+    pdfPageLabel.textContent = `Page ${viewer.pageNumber} of ${pageCount}`;
+    pdfPrevPageBtn.disabled = viewer.pageNumber <= 1;
+    pdfNextPageBtn.disabled = viewer.pageNumber >= pageCount;
+
+    // The highlight and its note only apply to the page they were found on
+    const onHighlightPage = viewer.highlight ? viewer.highlight.page === viewer.pageNumber : Boolean(viewer.note);
+    setPdfViewerNote(viewer.note && onHighlightPage ? viewer.note.text : '', viewer.note && viewer.note.isWarning);
+
+    if (viewer.renderTask) viewer.renderTask.cancel();
+    if (viewer.textLayerTask) viewer.textLayerTask.cancel();
+    const page = await viewer.pdf.getPage(viewer.pageNumber);
+    if (pdfViewer !== viewer || viewer.pageNumber !== page.pageNumber) return;
+
+    // Fit the pane width; the canvas is drawn at device resolution so text stays sharp
+    const baseViewport = page.getViewport({ scale: 1 });
+    const scale = Math.max(pdfPagePane.clientWidth - 32, 200) / baseViewport.width;
+    const viewport = page.getViewport({ scale });
+    const pixelRatio = window.devicePixelRatio || 1;
+    pdfViewerCanvas.width = Math.floor(viewport.width * pixelRatio);
+    pdfViewerCanvas.height = Math.floor(viewport.height * pixelRatio);
+    pdfViewerCanvas.style.width = `${Math.floor(viewport.width)}px`;
+    pdfViewerCanvas.style.height = `${Math.floor(viewport.height)}px`;
+    pdfPageWrapper.style.width = pdfViewerCanvas.style.width;
+    pdfPageWrapper.style.height = pdfViewerCanvas.style.height;
+
+    const renderTask = page.render({
+        canvasContext: pdfViewerCanvas.getContext('2d'),
+        viewport,
+        transform: pixelRatio === 1 ? null : [pixelRatio, 0, 0, pixelRatio, 0, 0]
+    });
+    viewer.renderTask = renderTask;
+
+    // Transparent text over the canvas, for selecting and highlighting
+    pdfTextLayer.innerHTML = '';
+    pdfTextLayer.style.setProperty('--scale-factor', scale);
+    const textContent = await page.getTextContent();
+    if (pdfViewer !== viewer || viewer.renderTask !== renderTask) return;
+    viewer.textDivs = [];
+    viewer.textItems = textContent.items.map(item => item.str);
+    viewer.textLayerTask = pdfjsLib.renderTextLayer({
+        textContentSource: textContent,
+        container: pdfTextLayer,
+        viewport,
+        textDivs: viewer.textDivs
+    });
+
+    try {
+        await Promise.all([renderTask.promise, viewer.textLayerTask.promise]);
+        if (pdfViewer === viewer && viewer.renderTask === renderTask) applyPdfHighlight(viewer);
+    } catch (error) {
+        // A newer page replaced this one before it finished drawing
+        if (error.name !== 'RenderingCancelledException' && error.name !== 'AbortException') {
+            console.error('Error rendering PDF page:', error);
+        }
+    } finally {
+        if (viewer.renderTask === renderTask) {
+            viewer.renderTask = null;
+            viewer.textLayerTask = null;
+        }
+    }
+}
+
+// Mark the text layer spans that make up the exact match, or else every span
+// containing a keyword, and scroll the first one into view
+function applyPdfHighlight(viewer) {
+    const highlight = viewer.highlight;
+    if (!highlight || highlight.page !== viewer.pageNumber) return;
+
+    const marked = new Set();
+    if (highlight.exact) {
+        // Map each character of the joined, normalized page text back to its span
+        let joined = '';
+        const owners = [];
+        viewer.textItems.forEach((str, i) => {
+            const normalized = normalizeForMatch(str);
+            joined += normalized;
+            for (let k = 0; k < normalized.length; k++) owners.push(i);
+        });
+        const start = joined.indexOf(highlight.exact);
+        if (start !== -1) {
+            for (let k = start; k < start + highlight.exact.length; k++) marked.add(owners[k]);
+        }
+    } else {
+        viewer.textItems.forEach((str, i) => {
+            const normalized = normalizeForMatch(str);
+            if (normalized && highlight.keywords.some(word => normalized.includes(word))) marked.add(i);
+        });
+    }
+
+    marked.forEach(i => {
+        if (viewer.textDivs[i]) viewer.textDivs[i].classList.add('pdf-highlight');
+    });
+    const first = viewer.textDivs[Math.min(...marked)];
+    if (first) first.scrollIntoView({ block: 'center', behavior: 'smooth' });
+}
+
+function renderPdfResultPane() {
+    const result = pdfViewer && pdfViewer.result;
+    if (!result) {
+        pdfResultPane.innerHTML = '';
+        return;
+    }
+    pdfResultPane.innerHTML = `
+        <p class="pdf-pane-hint">Select text here to find it in the PDF. Select a passage in the PDF to ask about it.</p>
+        <div class="result-preview visible">${result.status === 'complete' ? renderResultPreview(result, currentResults.indexOf(result)) : ''}</div>
+    `;
+}
+
+// The selected passage and the question/answer about it
+function renderPdfAsk() {
+    const ask = pdfViewer && pdfViewer.ask;
+    if (!ask) {
+        pdfAsk.innerHTML = '';
+        return;
+    }
+
+    const isRunning = ask.status === 'processing' || ask.status === 'retrying';
+    pdfAsk.innerHTML = `
+        <div class="pdf-ask-passage">Page ${ask.page}: "${escapeHtml(ask.passage)}"</div>
+        <div class="pdf-ask-row">
+            <input type="text" class="form-control pdf-ask-input" placeholder="Ask about this passage..." value="${escapeHtml(ask.question)}"${isRunning ? ' disabled' : ''}>
+            ${isRunning
+                ? '<button class="btn btn-small btn-danger pdf-ask-cancel-btn">Cancel</button>'
+                : '<button class="btn btn-small btn-primary pdf-ask-btn">Ask</button>'}
+            <button class="btn btn-small btn-secondary pdf-ask-close-btn" title="Clear the selection">&times;</button>
+        </div>
+        ${ask.statusText ? `<div class="history-meta">${escapeHtml(ask.statusText)}</div>` : ''}
+        ${ask.answer ? `<div class="pdf-ask-answer">${convertMarkdownToHtmlPreview(cleanOutput(ask.answer))}</div>` : ''}
+    `;
+}
+
+function handlePdfTextSelection() {
+    const viewer = pdfViewer;
+    const selection = window.getSelection();
+    const passage = selection.toString().replace(/\s+/g, ' ').trim();
+    if (!viewer || passage.length < PDF_MIN_SELECTION_CHARS || !pdfTextLayer.contains(selection.anchorNode)) return;
+    if (viewer.ask && viewer.ask.passage === passage) return;
+
+    if (viewer.ask && viewer.ask.controller) viewer.ask.controller.abort();
+    viewer.ask = { passage, page: viewer.pageNumber, question: '', answer: '', status: 'idle', statusText: '', controller: null };
+    renderPdfAsk();
+    pdfAsk.querySelector('.pdf-ask-input').focus();
+}
+
+function handleResultTextSelection() {
+    const text = window.getSelection().toString().replace(/\s+/g, ' ').trim();
+    // Clicking a citation is handled separately
+    if (text.length >= PDF_MIN_SELECTION_CHARS) findInPdf(text);
+}
+
+// The transcript when it fits in one request, otherwise the pages around the
+// passage's page - a question about one passage never becomes a chunked run.
+// Returns { text, firstPage, lastPage }; the page range is null for the whole transcript.
+function getPassageContext(extracted, page, prompt, runOptions) {
+    const budget = getChunkTokenBudget(prompt, runOptions);
+    if (estimateTokens(extracted.text, runOptions.provider) <= budget) {
+        return { text: extracted.text, firstPage: null, lastPage: null };
+    }
+
+    const pages = extracted.pages || [];
+    const formatPages = (first, last) => pages.slice(first - 1, last)
+        .map((pageText, i) => `${formatPageAnchor(first + i)}\n${pageText.trim()}`)
+        .join('\n\n');
+    const fits = (first, last) => estimateTokens(formatPages(first, last), runOptions.provider) <= budget;
+    if (!pages[page - 1] || !fits(page, page)) {
+        return { text: '', firstPage: page, lastPage: page };
+    }
+
+    // Widen one page at a time on either side while the excerpt still fits
+    let first = page;
+    let last = page;
+    for (let grew = true; grew;) {
+        grew = false;
+        if (first > 1 && fits(first - 1, last)) {
+            first--;
+            grew = true;
+        }
+        if (last < pages.length && fits(first, last + 1)) {
+            last++;
+            grew = true;
+        }
+    }
+    return { text: formatPages(first, last), firstPage: first, lastPage: last };
+}
+
+// Answer a question about the selected passage, with as much of the transcript
+// around it as fits in one request (see getPassageContext).
+// Token usage is added to the result's usage like any other request for it.
+async function askAboutPdfPassage() {
+    const viewer = pdfViewer;
+    const ask = viewer && viewer.ask;
+    const question = pdfAsk.querySelector('.pdf-ask-input').value.trim();
+    if (!ask) return;
+    if (!question) {
+        showToast('Please enter a question', 'warning');
+        return;
+    }
+
+    const result = viewer.result;
+    ask.question = question;
+    ask.answer = '';
+    ask.status = 'processing';
+    ask.statusText = 'Connecting to server...';
+    ask.controller = new AbortController();
+    renderPdfAsk();
+
+    const authToken = await getAuthToken();
+    const runOptions = getRunOptions(authToken, ask.controller.signal);
+    const buildPrompt = (context) => `Answer the question below about a passage from page ${ask.page} of the transcript. ${context} Keep the answer concise and quote the transcript where it helps.
+
+PASSAGE:
+"${ask.passage}"
+
+QUESTION:
+${question}`;
+
+    const update = () => {
+        if (pdfViewer === viewer && viewer.ask === ask) renderPdfAsk();
+    };
+
+    try {
+        const extracted = await extractTranscriptText(result.file, null, runOptions.transcriptFormat);
+        // The context sentence added below is covered by the budget's safety margin
+        const context = getPassageContext(extracted, ask.page, buildPrompt(''), runOptions);
+        const prompt = buildPrompt(context.firstPage === null
+            ? 'Use the rest of the transcript that follows for context.'
+            : context.text
+                ? `Only pages ${context.firstPage} to ${context.lastPage} of the transcript are included below, for context.`
+                : 'The transcript is too long to include, so answer from the passage alone.');
+
+        const answer = await callLLMWithRetry(prompt, context.text, (chunk, fullResult) => {
+            ask.status = 'processing';
+            ask.answer = fullResult;
+            ask.statusText = `Streaming... ${fullResult.split(/\s+/).length} words`;
+            update();
+        }, (status, data) => {
+            if (status === 'connected') {
+                ask.statusText = 'LLM is thinking...';
+                update();
+            } else if (status === 'usage') {
+                result.usage.push(data);
+                updateResultsDisplay();
+            }
+        }, (attempt, maxRetries, delay) => {
+            ask.status = 'retrying';
+            ask.statusText = `Rate limited - retrying in ${Math.ceil(delay / 1000)}s (attempt ${attempt} of ${maxRetries})`;
+            update();
+        }, { ...runOptions, contentLabel: context.firstPage === null ? 'TRANSCRIPT' : 'TRANSCRIPT EXCERPT' });
+
+        ask.answer = answer;
+        ask.status = 'complete';
+        ask.statusText = `${runOptions.provider}/${runOptions.modelName || FALLBACK_MODELS[runOptions.provider]}`;
+    } catch (error) {
+        if (error.name === 'AbortError' || ask.controller.signal.aborted) {
+            ask.status = 'cancelled';
+            ask.statusText = 'Cancelled';
+        } else {
+            console.error('Passage question failed:', error);
+            ask.status = 'error';
+            ask.statusText = `Error: ${error.message}`;
+        }
+    }
+    ask.controller = null;
+    update();
+}
+
+function clearPdfAsk() {
+    if (!pdfViewer || !pdfViewer.ask) return;
+    if (pdfViewer.ask.controller) pdfViewer.ask.controller.abort();
+    pdfViewer.ask = null;
+    renderPdfAsk();
+}
+
+function closePdfViewer() {
+    pdfViewerModal.classList.remove('visible');
+    if (!pdfViewer) return;
+    clearPdfAsk();
+    if (pdfViewer.renderTask) pdfViewer.renderTask.cancel();
+    if (pdfViewer.textLayerTask) pdfViewer.textLayerTask.cancel();
+    if (pdfViewer.pdf) pdfViewer.pdf.destroy();
+    pdfViewer = null;
+    pdfTextLayer.innerHTML = '';
+    pdfResultPane.innerHTML = '';
+    pdfViewerCanvas.width = pdfViewerCanvas.height = 0; // Release the bitmap memory
+}
+
+// ============================================
+// RESULT CHAT
+// ============================================
+
+// Follow-up questions on a completed result. Every question is sent as chat turns
+// (see buildMessages in api/llm.js): the original prompt and what it ran on (the
+// transcript, or for a pipeline whose last step reads the previous step, that output),
+// the result, then the conversation so far. Replies use the provider/model selected
+// above. The transcript is left out when it would no longer fit in the context
+// window with the conversation, or when the result was reopened from history.
+// Each completed exchange is saved with the result's history entry.
+
+var chatResult = null; // Result whose chat is open
+var chatRun = null; // { result, question, status, statusText, answer, controller }
+
+function isChatRunning() {
+    return Boolean(chatRun && ['processing', 'retrying'].includes(chatRun.status));
+}
+
+// Pipelines use the last step's prompt as it was sent, with its {{variables}} filled in
+function getResultPrompt(result) {
+    if (result.pipeline) {
+        const steps = result.pipeline.steps;
+        return result.steps[steps.length - 1].prompt || steps[steps.length - 1].promptText;
+    }
+    return result.prompt || '';
+}
+
+// 'transcript', 'previous' or 'both' - see PIPELINE_INPUT_LABELS
+function getResultInputKind(result) {
+    if (!result.pipeline) return 'transcript';
+    const steps = result.pipeline.steps;
+    return steps[steps.length - 1].input || 'transcript';
+}
+
+function getPreviousStepOutput(result) {
+    return result.steps && result.steps.length > 1 ? result.steps[result.steps.length - 2].output : '';
+}
+
+// Pipelines save one history entry per step; the chat belongs with the final step
+function getResultHistoryId(result) {
+    if (result.steps && result.steps.length > 0) return result.steps[result.steps.length - 1].historyId ?? null;
+    return result.historyId ?? null;
+}
+
+function openChat(result) {
+    if (!result.chat) result.chat = [];
+    chatResult = result;
+    chatModalTitle.textContent = `Chat · ${result.filename}`;
+    chatResultPreview.innerHTML = convertMarkdownToHtmlPreview(cleanOutput(result.output));
+    renderChat();
+    chatModal.classList.add('visible');
+    chatInput.focus();
+}
+
+// A reply still streaming keeps going and is saved when it finishes
+function closeChat() {
+    chatModal.classList.remove('visible');
+    chatResult = null;
+}
+
+function renderChat() {
+    const result = chatResult;
+    if (!result) return;
+
+    const provider = providerSelect.value;
+    const model = modelInput.value.trim() || FALLBACK_MODELS[provider];
+    const kind = getResultInputKind(result);
+    const sources = [
+        kind !== 'previous' && result.file && 'the transcript',
+        kind !== 'transcript' && 'the previous step\'s output'
+    ].filter(Boolean).join(', ');
+    chatContextNote.textContent = sources
+        ? `Each question is sent to ${provider}/${model} with the prompt, ${sources}, this result and the conversation so far.`
+        : `Reopened from history: each question is sent to ${provider}/${model} with the prompt, this result and the conversation so far (not the transcript).`;
+
+    const run = chatRun && chatRun.result === result ? chatRun : null;
+    const renderMessage = (message) => `
+        <div class="chat-message ${message.role}">
+            ${message.role === 'user' ? escapeHtml(message.content) : convertMarkdownToHtmlPreview(cleanOutput(message.content))}
+        </div>
+    `;
+
+    chatThread.innerHTML = `
+        ${result.chat.map(renderMessage).join('')}
+        ${run ? `
+            ${renderMessage({ role: 'user', content: run.question })}
+            ${run.answer ? renderMessage({ role: 'assistant', content: run.answer }) : ''}
+            <div class="history-meta chat-status">${escapeHtml(run.statusText)}</div>
+        ` : ''}
+    `;
+
+    chatSendBtn.textContent = isChatRunning() ? 'Cancel' : 'Send';
+    chatSendBtn.classList.toggle('btn-danger', isChatRunning());
+    chatSendBtn.classList.toggle('btn-primary', !isChatRunning());
+    chatThread.scrollTop = chatThread.scrollHeight;
+}
+
+// What the prompt ran on as { text, label }; text is '' if it is not available or
+// would not fit with the conversation
+async function getChatInput(result, prompt, followUps, runOptions) {
+    let kind = getResultInputKind(result);
+    let transcript = '';
+    if (kind !== 'previous' && result.file) {
+        transcript = (await extractTranscriptText(result.file, null, runOptions.transcriptFormat)).text;
+    }
+    // Without the file only the previous step's output is left to send
+    if (kind === 'both' && !transcript) kind = 'previous';
+
+    const label = PIPELINE_INPUT_LABELS[kind];
+    const text = buildPipelineStepInput(kind, transcript, getPreviousStepOutput(result));
+    if (!text) return { text: '', label };
+
+    const conversation = [prompt, ...followUps.map(message => message.content)].join('\n\n');
+    if (estimateTokens(text, runOptions.provider) <= getChunkTokenBudget(conversation, runOptions)) {
+        return { text, label };
+    }
+    showToast(`The ${label.toLowerCase()} no longer fits in the context window with this conversation - answering from the result only`, 'warning');
+    return { text: '', label };
+}
+
+async function sendChatMessage() {
+    const result = chatResult;
+    const question = chatInput.value.trim();
+    if (!result) return;
+    if (!question) {
+        showToast('Please enter a question', 'warning');
+        return;
+    }
+
+    const run = { result, question, status: 'processing', statusText: 'Connecting to server...', answer: '', controller: new AbortController() };
+    chatRun = run;
+    chatInput.value = '';
+    renderChat();
+
+    const update = () => {
+        if (chatResult === result) renderChat();
+    };
+    const authToken = await getAuthToken();
+    const runOptions = getRunOptions(authToken, run.controller.signal);
+    const prompt = getResultPrompt(result) || 'Process this transcript.';
+    const followUps = [
+        { role: 'assistant', content: result.output },
+        ...result.chat,
+        { role: 'user', content: question }
+    ];
+
+    try {
+        const input = await getChatInput(result, prompt, followUps, runOptions);
+        const answer = await callLLMWithRetry(prompt, input.text, (chunk, fullResult) => {
+            run.status = 'processing';
+            run.answer = fullResult;
+            run.statusText = `Streaming... ${fullResult.split(/\s+/).length} words`;
+            update();
+        }, (status, data) => {
+            if (status === 'connected') {
+                run.statusText = 'LLM is thinking...';
+                update();
+            } else if (status === 'usage') {
+                if (!result.usage) result.usage = [];
+                result.usage.push(data);
+                updateResultsDisplay();
+            }
+        }, (attempt, maxRetries, delay) => {
+            run.status = 'retrying';
+            run.statusText = `Rate limited - retrying in ${Math.ceil(delay / 1000)}s (attempt ${attempt} of ${maxRetries})`;
+            update();
+        }, { ...runOptions, messages: followUps, contentLabel: input.label });
+
+        result.chat.push({ role: 'user', content: question }, { role: 'assistant', content: answer });
+        if (chatRun === run) chatRun = null;
+        update();
+        updateResultsDisplay();
+        await saveHistoryChat(getResultHistoryId(result), result.chat);
+    } catch (error) {
+        if (error.name === 'AbortError' || run.controller.signal.aborted) {
+            run.status = 'cancelled';
+            run.statusText = 'Cancelled - the question was not saved';
+        } else {
+            console.error('Chat request failed:', error);
+            run.status = 'error';
+            run.statusText = `Error: ${error.message}`;
+        }
+        // Give the question back so it can be sent again
+        if (chatResult === result && !chatInput.value.trim()) chatInput.value = question;
+        update();
+    }
+}
+
+// ============================================
+// PROMPT AUTO-SELECTION
+// ============================================
+
+// Each uploaded file is classified as one of the document types the default prompts
+// are written for, and the saved prompt with that name is pre-selected for it in the
+// file list. The user can override the prompt per file; "Current prompt" uses the
+// prompt text box.
+
+const CLASSIFY_SAMPLE_PAGES = 3;
+const CLASSIFY_SAMPLE_CHARS = 15000;
+const MIN_CLASSIFY_SCORE = 2;
+
+// Patterns scored against the start of the document (and the filename)
+const TRANSCRIPT_TYPES = [
+    {
+        name: 'Earnings Transcript',
+        patterns: [
+            [/earnings (?:conference )?call|earnings release|quarterly results/i, 3],
+            [/\b(?:first|second|third|fourth)[- ]quarter\b|\bq[1-4]\s?(?:fy)?\s?'?\d{2}/i, 2],
+            [/\boperator\b/i, 1],
+            [/question[-\s]and[-\s]answer session/i, 1]
+        ]
+    },
+    {
+        name: 'Investor Day',
+        patterns: [
+            [/investor day|analyst day|capital markets day|investor (?:meeting|update)|strategy day/i, 5]
+        ]
+    },
+    {
+        name: 'Conference Presentation',
+        patterns: [
+            [/\b(?:conference|summit|symposium|forum)\b/i, 2],
+            [/fireside chat|moderator|presentation/i, 2]
+        ]
+    },
+    {
+        name: 'Prepared Remarks',
+        patterns: [
+            [/prepared remarks|letter to shareholders|shareholder letter|cfo commentary/i, 5]
+        ]
+    },
+    {
+        name: 'Q&A Followup',
+        patterns: [
+            [/analyst certification|important disclosures|price target|\brating\b/i, 2],
+            [/we (?:hosted|spoke with|met with|caught up with)|follow[- ]up (?:call|q&a)|call with management/i, 3]
+        ]
+    }
+];
+
+var fileAssignments = new Map(); // filename -> { status, detectedType, override, templateValues }
+
+// The start of the shared extraction (see getCachedExtraction), so classifying a
+// file does not read it a second time alongside the pre-flight estimate
+async function getClassificationSample(file) {
+    const extracted = await getCachedExtraction(file, getExtractor(file));
+    const text = extracted.pages ? extracted.pages.slice(0, CLASSIFY_SAMPLE_PAGES).join('\n\n') : extracted.text;
+    return text.slice(0, CLASSIFY_SAMPLE_CHARS);
+}
+
+// Returns the best matching type name, or null if nothing scores high enough
+function classifyTranscript(text, filename) {
+    const sample = `${filename.replace(/[_-]+/g, ' ')}\n${text}`;
+    let best = null;
+    let bestScore = MIN_CLASSIFY_SCORE - 1;
+
+    TRANSCRIPT_TYPES.forEach(type => {
+        const score = type.patterns.reduce((total, [pattern, weight]) => total + (pattern.test(sample) ? weight : 0), 0);
+        if (score > bestScore) {
+            best = type.name;
+            bestScore = score;
+        }
+    });
+
+    return best;
+}
+
+async function classifyFile(file) {
+    const assignment = { status: 'classifying', detectedType: null, override: null, templateValues: null };
+    fileAssignments.set(file.name, assignment);
+
+    try {
+        const sample = await getClassificationSample(file);
+        assignment.detectedType = classifyTranscript(sample, file.name);
+        assignment.templateValues = detectTemplateValues(file.name, sample);
+    } catch (error) {
+        // Not fatal: the file just uses the current prompt
+        console.error(`Error classifying ${file.name}:`, error);
+    }
+    assignment.status = 'done';
+
+    // The file may have been removed while it was being read
+    if (fileAssignments.get(file.name) === assignment) updateUI();
+}
+
+// Saved prompt name for a file, or '' for the prompt in the text box
+function getAssignedPromptName(file) {
+    const assignment = fileAssignments.get(file.name);
+    if (!assignment) return '';
+    if (assignment.override !== null) {
+        return savedPrompts.some(p => p.name === assignment.override) ? assignment.override : '';
+    }
+    if (!autoPromptToggle.checked || !assignment.detectedType) return '';
+
+    const match = savedPrompts.find(p => (p.baseName || p.name).toLowerCase() === assignment.detectedType.toLowerCase());
+    return match ? match.name : '';
+}
+
+function setFilePromptOverride(file, promptName) {
+    const assignment = fileAssignments.get(file.name);
+    if (assignment) assignment.override = promptName;
+    updateButtonStates();
+    updatePreflightSummary();
+}
+
+function loadAutoPromptSetting() {
+    autoPromptToggle.checked = localStorage.getItem('autoPromptSelect') !== 'false';
+}
+
+function saveAutoPromptSetting() {
+    localStorage.setItem('autoPromptSelect', String(autoPromptToggle.checked));
+    updateUI();
+}
+
+function renderFilePromptSelect(file, index) {
+    const assignment = fileAssignments.get(file.name);
+    const selected = getAssignedPromptName(file);
+    const sortedPrompts = sortPromptsByLabel(savedPrompts);
+    const detected = assignment && assignment.status === 'classifying'
+        ? 'Detecting type...'
+        : (assignment && assignment.detectedType) || 'Unknown type';
+
+    return `
+        <div class="file-prompt">
+            <span class="file-detected-type" title="Detected document type">${escapeHtml(detected)}</span>
+            <select class="form-control file-prompt-select" data-index="${index}" title="Prompt used for this file">
+                <option value="">Current prompt</option>
+                ${sortedPrompts.map(prompt => `
+                    <option value="${escapeHtml(prompt.name)}" ${prompt.name === selected ? 'selected' : ''}>${escapeHtml(getPromptLabel(prompt))}</option>
+                `).join('')}
+            </select>
+        </div>
+    `;
+}
+
+// ============================================
+// PROMPT TEMPLATES
+// ============================================
+
+// Prompts can use {{variable}} placeholders and conditional blocks:
+//   {{company}} {{ticker}} {{quarter}} {{filename}} {{date}} or any custom {{field}}
+//   {{#if ticker == "AAPL"}}...{{else}}...{{/if}}   {{#if guidance}}...{{/if}}
+//   {{#unless quarter}}...{{/unless}}
+// Built-in values are detected from the filename and the start of the document, and
+// every value can be checked and edited in a form before the batch runs.
+
+const BUILT_IN_TEMPLATE_VARIABLES = ['company', 'ticker', 'quarter', 'filename', 'date'];
+const TEMPLATE_TOKEN_PATTERN = /\{\{\s*(#if|#unless|else|\/if|\/unless)?\s*([^}]*?)\s*\}\}/g;
+const TEMPLATE_CONDITION_PATTERN = /^(\w+)(?:\s*(==|!=)\s*(?:"([^"]*)"|'([^']*)'))?$/;
+const QUARTER_WORDS = { first: 1, second: 2, third: 3, fourth: 4 };
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+var pendingTemplateConfirm = null; // resolve() of the open template values form
+
+function parseTemplateCondition(expression) {
+    const match = expression.match(TEMPLATE_CONDITION_PATTERN);
+    if (!match) throw new Error(`Invalid condition "{{#if ${expression}}}"`);
+    return { name: match[1], operator: match[2] || null, value: match[3] ?? match[4] ?? '' };
+}
+
+// Parse into a tree of { type: 'text' | 'var' | 'if', ... } nodes. Throws on
+// unbalanced blocks so a broken template is reported before anything is sent.
+function parseTemplate(template) {
+    const root = { children: [] };
+    const stack = [root];
+    let lastIndex = 0;
+    let match;
+
+    const current = () => {
+        const node = stack[stack.length - 1];
+        return node.inElse ? node.elseChildren : node.children;
+    };
+
+    TEMPLATE_TOKEN_PATTERN.lastIndex = 0;
+    while ((match = TEMPLATE_TOKEN_PATTERN.exec(template)) !== null) {
+        if (match.index > lastIndex) current().push({ type: 'text', text: template.slice(lastIndex, match.index) });
+        lastIndex = TEMPLATE_TOKEN_PATTERN.lastIndex;
+
+        const [token, keyword, body] = match;
+        if (keyword === '#if' || keyword === '#unless') {
+            const node = { type: 'if', negate: keyword === '#unless', condition: parseTemplateCondition(body), children: [], elseChildren: [], inElse: false };
+            current().push(node);
+            stack.push(node);
+        } else if (keyword === 'else') {
+            if (stack.length === 1) throw new Error('{{else}} without {{#if}}');
+            stack[stack.length - 1].inElse = true;
+        } else if (keyword === '/if' || keyword === '/unless') {
+            if (stack.length === 1) throw new Error(`${token} without a matching block`);
+            stack.pop();
+        } else if (/^\w+$/.test(body)) {
+            current().push({ type: 'var', name: body });
+        } else {
+            current().push({ type: 'text', text: token }); // Not a template token - leave it alone
+        }
+    }
+
+    if (stack.length > 1) throw new Error('Unclosed {{#if}} block');
+    if (lastIndex < template.length) root.children.push({ type: 'text', text: template.slice(lastIndex) });
+    return root.children;
+}
+
+// Variable names used by a template, in order of first use
+function getTemplateVariables(template) {
+    const names = [];
+    const visit = nodes => nodes.forEach(node => {
+        const name = node.type === 'var' ? node.name : node.type === 'if' ? node.condition.name : null;
+        if (name && !names.includes(name)) names.push(name);
+        if (node.type === 'if') {
+            visit(node.children);
+            visit(node.elseChildren);
+        }
+    });
+    visit(parseTemplate(template));
+    return names;
+}
+
+function evaluateTemplateCondition({ name, operator, value }, values) {
+    const actual = (values[name] || '').trim();
+    if (!operator) return actual !== '';
+    const equal = actual.toLowerCase() === value.trim().toLowerCase();
+    return operator === '==' ? equal : !equal;
+}
+
+function renderPromptTemplate(template, values) {
+    const render = nodes => nodes.map(node => {
+        if (node.type === 'text') return node.text;
+        if (node.type === 'var') return values[node.name] || '';
+        const passes = evaluateTemplateCondition(node.condition, values) !== node.negate;
+        return render(passes ? node.children : node.elseChildren);
+    }).join('');
+
+    // Conditional blocks on their own lines leave blank runs behind
+    return render(parseTemplate(template)).replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// "Q4 2024", "fourth quarter 2024", "4Q24", "Q3 FY25" -> "4Q24" / "3Q25"
+function detectQuarter(text) {
+    let match = text.match(/\bQ([1-4])\s*(?:FY|F)?\s*'?(\d{4}|\d{2})\b/i) || text.match(/\b([1-4])Q\s*(?:FY)?'?(\d{4}|\d{2})\b/i);
+    if (match) return `${match[1]}Q${match[2].slice(-2)}`;
+
+    match = text.match(/\b(first|second|third|fourth)[- ]quarter(?: of)?(?: fiscal(?: year)?)? (\d{4})\b/i);
+    if (match) return `${QUARTER_WORDS[match[1].toLowerCase()]}Q${match[2].slice(-2)}`;
+
+    return '';
+}
+
+// "October 31, 2024" or "2024-10-31" -> "10/31/24" (the format the default prompts ask for)
+function detectDate(text) {
+    let match = text.match(new RegExp(`\\b(${MONTH_NAMES.join('|')})\\.? (\\d{1,2}),? (\\d{4})\\b`, 'i'));
+    if (match) return `${MONTH_NAMES.indexOf(match[1].toLowerCase()) + 1}/${parseInt(match[2], 10)}/${match[3].slice(-2)}`;
+
+    match = text.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+    if (match) return `${parseInt(match[2], 10)}/${parseInt(match[3], 10)}/${match[1].slice(-2)}`;
+
+    return '';
+}
+
+function detectTemplateValues(filename, text) {
+    const basename = filename.replace(/\.[^.]+$/, '');
+    const head = text.slice(0, 3000);
+
+    // "Apple Inc. (NASDAQ: AAPL)" / "Apple Inc. (AAPL)" title lines give both company and ticker
+    const listing = head.match(/^(.{2,80}?)\s*\((?:[A-Za-z]+\s*:\s*)?([A-Z]{1,5}(?:\.[A-Z])?)\)/m);
+    const fileTicker = basename.match(/^([A-Z]{1,5})(?=[\s_.-]|$)/);
+
+    return {
+        company: listing ? listing[1].replace(/^[^A-Za-z0-9]+/, '').trim() : '',
+        ticker: fileTicker ? fileTicker[1] : listing ? listing[2] : '',
+        quarter: detectQuarter(basename) || detectQuarter(head),
+        filename: basename,
+        date: detectDate(head) || detectDate(basename)
+    };
+}
+
+// Custom (non built-in) field values are remembered between runs
+function loadTemplateFieldValues() {
+    try {
+        return JSON.parse(localStorage.getItem('templateFieldValues') || '{}');
+    } catch (e) {
+        return {};
+    }
+}
+
+function saveTemplateFieldValues(valuesByRow) {
+    const remembered = loadTemplateFieldValues();
+    Object.values(valuesByRow).forEach(values => {
+        Object.entries(values).forEach(([name, value]) => {
+            if (!BUILT_IN_TEMPLATE_VARIABLES.includes(name) && value) remembered[name] = value;
+        });
+    });
+    localStorage.setItem('templateFieldValues', JSON.stringify(remembered));
+}
+
+function getDefaultTemplateValues(file) {
+    const assignment = fileAssignments.get(file.name);
+    return {
+        ...loadTemplateFieldValues(),
+        ...((assignment && assignment.templateValues) || detectTemplateValues(file.name, ''))
+    };
+}
+
+// Show the values form for the templated files and resolve with one
+// { variable: value } object per row, or null if the user cancels
+function confirmTemplateValues(plans) {
+    const columns = [];
+    plans.forEach(plan => plan.variables.forEach(name => {
+        if (!columns.includes(name)) columns.push(name);
+    }));
+
+    templateValuesTable.innerHTML = `
+        <thead>
+            <tr><th>File</th>${columns.map(name => `<th>${escapeHtml(name)}</th>`).join('')}</tr>
+        </thead>
+        <tbody>
+            ${plans.map((plan, row) => {
+                const defaults = getDefaultTemplateValues(plan.file);
+                return `
+                    <tr>
+                        <td class="template-file">${escapeHtml(plan.file.name)}<br><small>${escapeHtml(plan.promptName || 'Current prompt')}</small></td>
+                        ${columns.map(name => plan.variables.includes(name) ? `
+                            <td><input type="text" class="form-control template-value" data-row="${row}" data-name="${escapeHtml(name)}" value="${escapeHtml(defaults[name] || '')}"></td>
+                        ` : '<td></td>').join('')}
+                    </tr>
+                `;
+            }).join('')}
+        </tbody>
+    `;
+
+    templateModal.classList.add('visible');
+    const firstInput = templateValuesTable.querySelector('.template-value');
+    if (firstInput) firstInput.focus();
+
+    return new Promise(resolve => {
+        pendingTemplateConfirm = resolve;
+    });
+}
+
+function closeTemplateModal(confirmed) {
+    if (!pendingTemplateConfirm) return;
+    const resolve = pendingTemplateConfirm;
+    pendingTemplateConfirm = null;
+    templateModal.classList.remove('visible');
+
+    if (!confirmed) {
+        resolve(null);
+        return;
+    }
+
+    const valuesByRow = {};
+    templateValuesTable.querySelectorAll('.template-value').forEach(input => {
+        const row = input.dataset.row;
+        valuesByRow[row] = valuesByRow[row] || {};
+        valuesByRow[row][input.dataset.name] = input.value.trim();
+    });
+    resolve(valuesByRow);
+}
+
+// Prompt Management
+function loadSavedPrompts() {
+    const saved = localStorage.getItem('savedPrompts');
+    if (saved) {
+        savedPrompts = JSON.parse(saved);
+    } else {
+        savedPrompts = [];
+    }
+
+    updateSavedPromptsButtons();
+
+    // Bring in new and updated defaults from default-prompts.txt without losing edits
+    syncDefaultPrompts();
+}
+
+function updateSavedPromptsButtons() {
+    if (savedPrompts.length === 0) {
+        savedPromptsButtons.innerHTML = '<p style="color: #a0aec0; font-size: 0.9rem;">No saved prompts yet. Enter a name above and click Save to save a prompt.</p>';
+        return;
+    }
+
+    // Sort prompts alphabetically A-Z
+    const sortedPrompts = sortPromptsByLabel(savedPrompts);
+
+    // Once the user is in a team, badge every prompt as personal or team
+    const showScope = userTeams.length > 0;
+    savedPromptsButtons.innerHTML = sortedPrompts.map(prompt => `
+        <button class="prompt-button${prompt.teamId ? ' team-prompt' : ''}" data-promptname="${escapeHtml(prompt.name)}"${prompt.teamId && !canEditPrompt(prompt) ? ' title="View only"' : ''}>
+            ${escapeHtml(prompt.baseName || prompt.name)}${showScope ? `<span class="prompt-scope-badge">${prompt.teamId ? escapeHtml(prompt.teamName) + (canEditPrompt(prompt) ? '' : ' · view only') : 'Personal'}</span>` : ''}
+        </button>
+    `).join('');
+
+    // Per-file prompt dropdowns and pipeline steps list the saved prompts too
+    updateFileList();
+    renderPipelineSteps(readPipelineSteps());
+}
+
+// Team prompts show their "Team/Prompt" label in the name box, not their key
+function getPromptLabel(prompt) {
+    return prompt.label || prompt.name;
+}
+
+function sortPromptsByLabel(prompts) {
+    return [...prompts].sort((a, b) => getPromptLabel(a).localeCompare(getPromptLabel(b)));
+}
+
+// The saved prompt named in the prompt name box: the loaded prompt while the box
+// still shows its label, otherwise the personal prompt of that name
+function findPromptByInputName(name) {
+    const loaded = savedPrompts.find(p => p.name === loadedPromptName);
+    if (loaded && getPromptLabel(loaded) === name) return loaded;
+    return savedPrompts.find(p => !p.teamId && p.name === name) || null;
+}
+
+function loadPromptByName(promptName) {
+    const prompt = savedPrompts.find(p => p.name === promptName);
+    if (prompt) {
+        loadedPromptName = prompt.name;
+        promptInput.value = prompt.text;
+        promptNameInput.value = getPromptLabel(prompt);
+        setPromptSchema(prompt.schema || '');
+        setPromptSettings(prompt.settings);
+        // Saving goes back to the team the prompt came from, if the user can edit it there
+        promptScopeSelect.value = prompt.teamId && canEditPrompt(prompt) ? prompt.teamId : '';
+
+        // Highlight the active button
+        document.querySelectorAll('.prompt-button').forEach(btn => {
+            // Compare dataset values directly (no escaping issues)
+            if (btn.dataset.promptname === promptName) {
+                btn.classList.add('active');
+            } else {
+                btn.classList.remove('active');
+            }
+        });
+
+        // Update button states since prompt was loaded programmatically
+        updateButtonStates();
+    }
+}
+
+async function handleSavePrompt() {
+    const text = promptInput.value.trim();
+    const name = promptNameInput.value.trim();
+
+    if (!text) {
+        showToast('Please enter a prompt first', 'warning');
+        return;
+    }
+
+    if (!name) {
+        showToast('Please enter a name for this prompt', 'warning');
+        return;
+    }
+
+    const schema = promptSchemaInput.value.trim();
+    if (schema && !parsePromptSchema()) return;
+    const settings = parsePromptSettings();
+    if (settings === false) return;
+
+    const team = getSaveTargetTeam();
+    if (team) {
+        const key = await saveTeamPrompt(team, name, text, schema, settings);
+        if (key) loadPromptByName(key);
+        return;
+    }
+
+    const existing = findPromptByInputName(name);
+    if (existing && existing.teamId) {
+        showToast(`"${name}" is a team prompt - choose its team under "Save to", or rename it to save a personal copy`, 'warning');
+        return;
+    }
+
+    // Use auth-aware save function
+    await saveUserPrompt(name, text, schema, settings);
+    loadPromptByName(name);
+}
+
+async function handleDeletePrompt() {
+    const name = promptNameInput.value.trim();
+
+    if (!name) {
+        showToast('Please select a prompt to delete', 'warning');
+        return;
+    }
+
+    const prompt = findPromptByInputName(name);
+    if (prompt && prompt.teamId) {
+        if (confirm(`Delete team prompt "${prompt.baseName}" for everyone in "${prompt.teamName}"?`)) {
+            await deleteTeamPrompt(prompt);
+        }
+        return;
+    }
+
+    // Use auth-aware delete function
+    await deleteUserPrompt(name);
+}
+
+// Provider, model and auth for a run, captured when the run is queued so that
+// changing the selects mid-batch does not affect requests already in flight.
+// authToken is passed in so we fetch it once before parallel processing.
+// jsonSchema (optional) switches the run to structured output - see parsePromptSchema
+// settings (optional) are the prompt's model settings - see parsePromptSettings
+function getRunOptions(authToken, signal, jsonSchema, settings) {
+    return {
+        provider: providerSelect.value,
+        modelName: modelInput.value.trim(),
+        transcriptFormat: getTranscriptFormat(),
+        authToken,
+        signal,
+        jsonSchema: jsonSchema || null,
+        settings: settings || null
+    };
+}
+
+// LLM API Integration with STREAMING support
+// runOptions: { provider, modelName, transcriptFormat, authToken, signal, jsonSchema, settings } - see getRunOptions.
+// The prompt is sent as the system instruction and the text as the user message, delimited
+// as a transcript unless runOptions.contentLabel names what it is (e.g. 'PARTIAL OUTPUTS').
+// A follow-up chat adds messages: the turns after the original request (see RESULT CHAT).
+// onStatus receives (status, data): data is the validation for the 'validated'
+// status sent at the end of a structured output run, and the token counts
+// ({ provider, model, inputTokens, outputTokens }) for the final 'usage' status
+async function callLLM(prompt, text, onChunk, onStatus, runOptions) {
+    const { provider, modelName, authToken, signal, jsonSchema, settings, contentLabel, messages } = runOptions;
+
+    const headers = {
+        'Content-Type': 'application/json'
+    };
+    if (authToken) {
+        headers['Authorization'] = `Bearer ${authToken}`;
+    }
+
+    const response = await fetch(API_CONFIG.backendUrl, {
+        method: 'POST',
+        headers: headers,
+        body: JSON.stringify({
+            provider: provider,
+            prompt: prompt,
+            text: text,
+            modelName: modelName,
+            jsonSchema: jsonSchema || undefined,
+            settings: settings || undefined,
+            contentLabel: contentLabel || undefined,
+            messages: messages || undefined
+        }),
+        signal
+    });
+
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({ error: response.statusText }));
+        throw new Error(error.error || `Server error: ${response.statusText}`);
+    }
+
+    // Read streaming response
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let fullResult = '';
+    let buffer = '';
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        // Use stream: true to handle multi-byte characters split across chunks
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+
+        // Keep the last partial line in the buffer
+        buffer = lines.pop() || '';
+
+        let serverDone = false;
+        for (const line of lines) {
+            if (line.trim() && line.startsWith('data: ')) {
+                const data = line.slice(6).trim();
+
+                try {
+                    const parsed = JSON.parse(data);
+
+                    if (parsed.error) {
+                        const error = new Error(parsed.error);
+                        error.retryable = !!parsed.retryable;
+                        error.retryAfter = parsed.retryAfter;
+                        throw error;
+                    }
+
+                    if (parsed.done) {
+                        serverDone = true;
+                        break;
+                    }
+
+                    if (parsed.status && onStatus) {
+                        onStatus(parsed.status, parsed.status === 'usage' ? parsed.usage : parsed.validation);
+                    }
+
+                    if (parsed.chunk) {
+                        fullResult += parsed.chunk;
+                        // Call the callback with the new chunk
+                        if (onChunk) {
+                            onChunk(parsed.chunk, fullResult);
+                        }
+                    }
+                } catch (e) {
+                    if (e.message && e.message !== 'Unexpected end of JSON input') {
+                        throw e;
+                    }
+                    // Skip malformed JSON
+                }
+            }
+        }
+
+        // Break out of the loop when server signals completion
+        if (serverDone) break;
+    }
+
+    // Flush decoder to handle any remaining bytes
+    if (buffer.trim()) {
+        decoder.decode(); // Flush
+    }
+
+    return fullResult;
+}
+
+// ============================================
+// PROMPT PIPELINES
+// ============================================
+
+// A pipeline is a named list of steps run in order on each file. Every step uses
+// a saved prompt and its own provider/model, and reads the transcript, the
+// previous step's output, or both. Step prompts can also insert earlier outputs
+// with {{previous}} or {{step1}}, {{step2}}... Pipelines are kept in localStorage.
+
+const PIPELINE_INPUTS = {
+    transcript: 'Transcript',
+    previous: 'Previous step output',
+    both: 'Transcript + previous output'
+};
+const PIPELINE_VARIABLE_PATTERN = /^(previous|step\d+)$/;
+
+var pipelines = []; // [{ name, steps: [{ promptName, input, provider, modelName }] }]
+
+function loadPipelines() {
+    try {
+        pipelines = JSON.parse(localStorage.getItem('promptPipelines') || '[]');
+    } catch (e) {
+        pipelines = [];
+    }
+    updatePipelineSelect();
+    loadPipelineIntoEditor('');
+}
+
+function savePipelines() {
+    localStorage.setItem('promptPipelines', JSON.stringify(pipelines));
+}
+
+function updatePipelineSelect() {
+    const current = pipelineSelect.value;
+    pipelineSelect.innerHTML = '<option value="">None - run one prompt per file</option>' + pipelines
+        .map(pipeline => `<option value="${escapeHtml(pipeline.name)}">${escapeHtml(pipeline.name)}</option>`)
+        .join('');
+    pipelineSelect.value = pipelines.some(p => p.name === current) ? current : '';
+}
+
+function getActivePipeline() {
+    return pipelines.find(p => p.name === pipelineSelect.value) || null;
+}
+
+function loadPipelineIntoEditor(name) {
+    const pipeline = pipelines.find(p => p.name === name);
+    pipelineNameInput.value = pipeline ? pipeline.name : '';
+    renderPipelineSteps(pipeline
+        ? pipeline.steps
+        : [{ promptName: '', input: 'transcript', provider: '', modelName: '' }]);
+}
+
+function renderPipelineSteps(steps) {
+    const providerOptions = Array.from(providerSelect.options)
+        .map(option => `<option value="${option.value}">${escapeHtml(option.textContent)}</option>`)
+        .join('');
+    const sortedPrompts = sortPromptsByLabel(savedPrompts);
+
+    pipelineSteps.innerHTML = steps.map((step, index) => `
+        <div class="pipeline-step-row" data-step="${index}">
+            <span class="pipeline-step-number">${index + 1}</span>
+            <select class="form-control pipeline-step-prompt" title="Saved prompt for this step">
+                <option value="">Choose a saved prompt...</option>
+                ${sortedPrompts.map(p => `<option value="${escapeHtml(p.name)}"${p.name === step.promptName ? ' selected' : ''}>${escapeHtml(getPromptLabel(p))}</option>`).join('')}
+            </select>
+            <select class="form-control pipeline-step-input" title="What this step reads">
+                ${Object.entries(PIPELINE_INPUTS)
+                    .filter(([value]) => index > 0 || value === 'transcript')
+                    .map(([value, label]) => `<option value="${value}"${value === step.input ? ' selected' : ''}>${label}</option>`).join('')}
+            </select>
+            <select class="form-control pipeline-step-provider" title="Provider for this step">
+                <option value="">Selected provider</option>
+                ${providerOptions}
+            </select>
+            <input type="text" class="form-control pipeline-step-model" placeholder="Model (optional)" value="${escapeHtml(step.modelName || '')}">
+            <button class="btn btn-small btn-danger pipeline-step-remove" data-step="${index}" title="Remove step"${steps.length === 1 ? ' disabled' : ''}>&times;</button>
+        </div>
+    `).join('');
+
+    // Set provider after rendering so the shared option list stays simple
+    pipelineSteps.querySelectorAll('.pipeline-step-provider').forEach((select, index) => {
+        select.value = steps[index].provider || '';
+    });
+}
+
+function readPipelineSteps() {
+    return Array.from(pipelineSteps.querySelectorAll('.pipeline-step-row')).map(row => ({
+        promptName: row.querySelector('.pipeline-step-prompt').value,
+        input: row.querySelector('.pipeline-step-input').value,
+        provider: row.querySelector('.pipeline-step-provider').value,
+        modelName: row.querySelector('.pipeline-step-model').value.trim()
+    }));
+}
+
+function handleSavePipeline() {
+    const name = pipelineNameInput.value.trim();
+    const steps = readPipelineSteps();
+
+    if (!name) {
+        showToast('Please enter a name for this pipeline', 'warning');
+        return;
+    }
+    if (steps.some(step => !step.promptName)) {
+        showToast('Choose a saved prompt for every step', 'warning');
+        return;
+    }
+
+    const existing = pipelines.find(p => p.name === name);
+    if (existing) {
+        existing.steps = steps;
+    } else {
+        pipelines.push({ name, steps });
+    }
+    savePipelines();
+    updatePipelineSelect();
+    pipelineSelect.value = name;
+    updateButtonStates();
+    showToast(`Pipeline "${name}" ${existing ? 'updated' : 'saved'}`, 'success');
+}
+
+function handleDeletePipeline() {
+    const name = pipelineNameInput.value.trim();
+    if (!pipelines.some(p => p.name === name)) {
+        showToast('Select a saved pipeline to delete', 'warning');
+        return;
+    }
+
+    pipelines = pipelines.filter(p => p.name !== name);
+    savePipelines();
+    updatePipelineSelect();
+    loadPipelineIntoEditor('');
+    updateButtonStates();
+    showToast(`Pipeline "${name}" deleted`, 'success');
+}
+
+// Look up each step's saved prompt now, so edits made mid-batch do not change a
+// running pipeline. Throws if a step's prompt no longer exists.
+function resolvePipeline(pipeline) {
+    return {
+        name: pipeline.name,
+        steps: pipeline.steps.map((step, index) => {
+            const prompt = savedPrompts.find(p => p.name === step.promptName);
+            if (!prompt) {
+                throw new Error(`Step ${index + 1} uses "${step.promptName}", which is no longer saved`);
+            }
+
+            let jsonSchema = null;
+            try {
+                jsonSchema = prompt.schema ? JSON.parse(prompt.schema) : null;
+            } catch (e) {
+                console.error(`Ignoring invalid JSON schema saved with "${getPromptLabel(prompt)}":`, e);
+            }
+            return { ...step, promptLabel: getPromptLabel(prompt), promptText: prompt.text, promptVersion: prompt.version || 1, jsonSchema, settings: prompt.settings || null };
+        })
+    };
+}
+
+// Template fields the user fills in - pipeline variables are filled automatically
+function getPipelineTemplateVariables(pipeline) {
+    const names = [];
+    pipeline.steps.forEach(step => getTemplateVariables(step.promptText).forEach(name => {
+        if (!PIPELINE_VARIABLE_PATTERN.test(name) && !names.includes(name)) names.push(name);
+    }));
+    return names;
+}
+
+// What the step input is, so the model is not told an earlier output is the transcript
+const PIPELINE_INPUT_LABELS = {
+    transcript: 'TRANSCRIPT',
+    previous: 'PREVIOUS STEP OUTPUT',
+    both: 'TRANSCRIPT AND PREVIOUS STEP OUTPUT'
+};
+
+function buildPipelineStepInput(input, transcriptText, previousOutput) {
+    if (input === 'previous') return previousOutput;
+    if (input === 'both') {
+        return `=== TRANSCRIPT ===\n${transcriptText}\n\n=== PREVIOUS STEP OUTPUT ===\n${previousOutput}`;
+    }
+    return transcriptText;
+}
+
+function attachPipeline(result, pipeline, templateValues) {
+    result.pipeline = pipeline;
+    result.templateValues = templateValues || {};
+    // The last step's schema drives the result preview and CSV/XLSX export
+    result.runOptions.jsonSchema = pipeline.steps[pipeline.steps.length - 1].jsonSchema;
+    resetPipelineSteps(result);
+    return result;
+}
+
+function resetPipelineSteps(result) {
+    result.steps = result.pipeline.steps.map(step => ({
+        promptName: step.promptLabel,
+        status: 'queued',
+        statusText: 'Queued',
+        output: '',
+        expanded: false // Kept across re-renders so streaming doesn't collapse an open step
+    }));
+}
+
+// Run every step of the result's pipeline on one transcript; returns the last output.
+// Each step is saved to history on its own.
+async function runPipeline(result, transcriptText, runOptions) {
+    const { steps } = result.pipeline;
+    const outputs = [];
+
+    for (let i = 0; i < steps.length; i++) {
+        const step = steps[i];
+        const stepState = result.steps[i];
+        const provider = step.provider || runOptions.provider;
+        const modelName = step.provider ? step.modelName : (step.modelName || runOptions.modelName);
+        const stepOptions = {
+            ...runOptions,
+            provider,
+            modelName,
+            jsonSchema: step.jsonSchema,
+            settings: step.settings,
+            contentLabel: PIPELINE_INPUT_LABELS[step.input] || PIPELINE_INPUT_LABELS.transcript
+        };
+
+        const values = { ...result.templateValues, previous: outputs[i - 1] || '' };
+        outputs.forEach((output, k) => {
+            values[`step${k + 1}`] = output;
+        });
+        const prompt = renderPromptTemplate(step.promptText, values);
+        stepState.prompt = prompt; // Result chat sends the last step's prompt as it was run
+        const input = buildPipelineStepInput(step.input, transcriptText, outputs[i - 1] || '');
+        if (!input.trim()) {
+            throw new Error(`Step ${i + 1} has no input - the previous step returned nothing`);
+        }
+
+        stepState.status = 'processing';
+        stepState.statusText = 'Running...';
+        result.validation = null;
+        updateResultsDisplay();
+
+        try {
+            const output = await runPromptOnTranscript(prompt, input, createResultCallbacks(result, `Step ${i + 1}/${steps.length}`), stepOptions);
+            outputs.push(output);
+            stepState.output = output;
+            stepState.status = 'complete';
+            stepState.statusText = `Complete (${provider}/${modelName || FALLBACK_MODELS[provider]})${formatValidationStatus(result.validation)}`;
+        } catch (error) {
+            stepState.status = error.name === 'AbortError' ? 'cancelled' : 'error';
+            stepState.statusText = error.name === 'AbortError' ? 'Cancelled' : `Error: ${error.message}`;
+            throw error;
+        }
+        updateResultsDisplay();
+
+        stepState.historyId = await saveHistoryEntry({
+            filename: result.filename,
+            promptName: `${result.pipeline.name} · ${i + 1}. ${step.promptLabel}`,
+            promptVersion: step.promptVersion,
+            promptText: prompt,
+            provider,
+            model: modelName || FALLBACK_MODELS[provider],
+            output: outputs[i]
+        });
+    }
+
+    return outputs[outputs.length - 1];
+}
+
+function renderPipelineResultSteps(result, index) {
+    if (!result.steps) return '';
+
+    return `
+        <div class="pipeline-result-steps">
+            ${result.steps.map((step, stepIndex) => `
+                <details class="pipeline-result-step ${step.status}" data-index="${index}" data-step="${stepIndex}" ${step.expanded ? 'open' : ''}>
+                    <summary>${stepIndex + 1}. ${escapeHtml(step.promptName)} · ${escapeHtml(step.statusText)}</summary>
+                    ${step.status === 'complete' ? `
+                        <div class="result-actions">
+                            <button class="btn btn-small btn-primary copy-step-btn" data-index="${index}" data-step="${stepIndex}">Copy</button>
+                        </div>
+                        <div class="pipeline-step-output">${renderCitedOutput(cleanOutput(step.output), result, index)}</div>
+                    ` : ''}
+                </details>
+            `).join('')}
+        </div>
+    `;
+}
+
+// ============================================
+// LONG TRANSCRIPT CHUNKING
+// ============================================
+
+// Approximate input context windows (tokens) and characters per token for each provider.
+// These are estimates, so chunk budgets keep a safety margin below the real limit.
+const PROVIDER_LIMITS = {
+    gemini: { contextTokens: 1000000, charsPerToken: 4 },
+    openai: { contextTokens: 400000, charsPerToken: 4 },
+    anthropic: { contextTokens: 200000, charsPerToken: 3.5 }
+};
+const MAX_OUTPUT_TOKENS = 16000; // Matches the default max output tokens in api/llm.js
+const CONTEXT_SAFETY_MARGIN = 0.8;
+
+// Speaker turns ("Tim Cook: ...", "Operator") and the Q&A heading are natural places to split
+const SECTION_BOUNDARY_PATTERN = /(?=\b(?:Operator|Question-and-Answer Session|Questions and Answers)\b)|(?=\b[A-Z][a-zA-Z.'-]+(?: [A-Z][a-zA-Z.'-]+){0,3}\s*[:—–]\s)/g;
+
+// Models whose context window differs from their provider's, matched by the
+// longest name prefix; every other model uses the provider limit above
+const MODEL_CONTEXT_TOKENS = [
+    { model: 'gpt-4o', contextTokens: 128000 },
+    { model: 'gpt-4-turbo', contextTokens: 128000 },
+    { model: 'gpt-4.1', contextTokens: 1000000 },
+    { model: 'o3', contextTokens: 200000 },
+    { model: 'o4-mini', contextTokens: 200000 }
+];
+
+// Providers without an entry above (e.g. OpenAI-compatible) report their own context window
+function getProviderLimits(provider) {
+    if (PROVIDER_LIMITS[provider]) return PROVIDER_LIMITS[provider];
+    const info = getProviderInfo(provider);
+    return info && info.contextTokens
+        ? { contextTokens: info.contextTokens, charsPerToken: 4 }
+        : PROVIDER_LIMITS.anthropic;
+}
+
+function getContextTokens({ provider, modelName }) {
+    const name = (modelName || FALLBACK_MODELS[provider] || '').toLowerCase();
+    const match = MODEL_CONTEXT_TOKENS
+        .filter(entry => name.startsWith(entry.model))
+        .sort((a, b) => b.model.length - a.model.length)[0];
+    return match ? match.contextTokens : getProviderLimits(provider).contextTokens;
+}
+
+function estimateTokens(text, provider) {
+    return Math.ceil(text.length / getProviderLimits(provider).charsPerToken);
+}
+
+// Tokens left for transcript text once the prompt and the response are accounted for
+// runOptions only needs { provider, modelName, settings }
+function getChunkTokenBudget(prompt, runOptions) {
+    const contextTokens = getContextTokens(runOptions);
+    const outputTokens = runOptions.settings?.maxOutputTokens || MAX_OUTPUT_TOKENS;
+    return Math.floor((contextTokens - outputTokens) * CONTEXT_SAFETY_MARGIN) - estimateTokens(prompt, runOptions.provider);
+}
+
+// Split text into chunks under maxTokens, preferring page breaks, then speaker/section
+// boundaries, then sentence ends. Splits are zero-width so no text is lost.
+function splitTranscript(text, maxTokens, provider) {
+    const maxChars = Math.floor(maxTokens * getProviderLimits(provider).charsPerToken);
+    const splitters = [
+        piece => piece.split(/(?<=\n\n)/),
+        piece => piece.split(SECTION_BOUNDARY_PATTERN),
+        piece => piece.split(/(?<=[.!?]\s)/),
+        piece => piece.match(new RegExp(`[\\s\\S]{1,${maxChars}}`, 'g'))
+    ];
+
+    const explode = (piece, level) => {
+        if (piece.length <= maxChars || level >= splitters.length) return [piece];
+        return splitters[level](piece).flatMap(part => explode(part, level + 1));
+    };
+
+    // Greedily pack the pieces back together into chunks as large as the budget allows
+    const chunks = [];
+    let current = '';
+    for (const piece of explode(text, 0)) {
+        if (current && current.length + piece.length > maxChars) {
+            chunks.push(current.trim());
+            current = '';
+        }
+        current += piece;
+    }
+    if (current.trim()) chunks.push(current.trim());
+
+    return chunks;
+}
+
+function buildChunkPrompt(prompt, partNumber, totalParts) {
+    return `${prompt}
+
+NOTE: The transcript is too long to process in one request, so it has been split into ${totalParts} consecutive parts. Below is part ${partNumber} of ${totalParts}. Apply the instructions above to this part only and include every relevant detail; the partial outputs will be merged afterwards.`;
+}
+
+// isFinal is false for a merge of only some of the parts (see mergePartials)
+function buildMergePrompt(prompt, totalParts, isFinal = true) {
+    const note = isFinal ? '' : `
+
+NOTE: The partial outputs are too long to merge in one request, so only some consecutive parts are included below. Combine them into one partial output covering just those parts, in the same form; it will be merged with the other parts afterwards.`;
+    return `The instructions below were applied separately to ${totalParts} consecutive parts of one long transcript. Combine the partial outputs that follow into a single final answer that follows the instructions exactly, as if the whole transcript had been processed at once. Keep the original chronological order, keep every detail, number and citation marker, merge sections that continue across parts, and remove duplicated headings or summaries.
+
+ORIGINAL INSTRUCTIONS:
+${prompt}${note}`;
+}
+
+// parts: [{ text, first, last }] - the range of transcript parts each output covers
+function formatMergeInput(parts, totalParts) {
+    return parts
+        .map(part => `=== ${part.first === part.last ? `PART ${part.first}` : `PARTS ${part.first}-${part.last}`} OF ${totalParts} ===\n${part.text}`)
+        .join('\n\n');
+}
+
+// Groups of consecutive parts, each as large as fits in one merge request
+function groupMergeParts(parts, budget, totalParts, provider) {
+    const groups = [];
+    let current = [];
+    for (const part of parts) {
+        if (current.length > 0 && estimateTokens(formatMergeInput([...current, part], totalParts), provider) > budget) {
+            groups.push(current);
+            current = [];
+        }
+        current.push(part);
+    }
+    if (current.length > 0) groups.push(current);
+    return groups;
+}
+
+// When the partial outputs together do not fit in the merge request, merge them in
+// rounds: each round combines as many consecutive outputs per request as fit, until
+// what is left fits in the final merge. Returns the parts left for the final merge.
+async function mergePartials(parts, prompt, totalParts, handlers, runOptions) {
+    const { onProgress, onStatus, onRetry } = handlers;
+    const finalBudget = getChunkTokenBudget(buildMergePrompt(prompt, totalParts), runOptions);
+    const roundBudget = getChunkTokenBudget(buildMergePrompt(prompt, totalParts, false), runOptions);
+    const mergeOptions = { ...runOptions, contentLabel: 'PARTIAL OUTPUTS' };
+
+    while (estimateTokens(formatMergeInput(parts, totalParts), runOptions.provider) > finalBudget) {
+        const groups = groupMergeParts(parts, roundBudget, totalParts, runOptions.provider);
+        if (groups.length === parts.length) {
+            const model = runOptions.modelName || FALLBACK_MODELS[runOptions.provider];
+            throw new Error(`The partial outputs are too long to merge in ${model}'s context window - try a model with a larger context window`);
+        }
+
+        const merged = [];
+        for (const group of groups) {
+            if (group.length === 1) {
+                merged.push(group[0]);
+                continue;
+            }
+            const first = group[0].first;
+            const last = group[group.length - 1].last;
+            const label = `Merging parts ${first}-${last} of ${totalParts}...`;
+            onProgress(label);
+            const text = await callLLMWithRetry(buildMergePrompt(prompt, totalParts, false), formatMergeInput(group, totalParts), (chunk, fullResult) => {
+                onProgress(`${label} ${fullResult.split(/\s+/).length} words`);
+            }, onStatus, onRetry, mergeOptions);
+            merged.push({ text, first, last });
+        }
+        parts = merged;
+    }
+
+    return parts;
 }
 
-function handleDrop(e) {
-    e.preventDefault();
-    uploadZone.classList.remove('drag-over');
+// Run the prompt over a transcript. If the transcript will not fit in the model's context
+// window it is split into chunks (map), then the partial answers are merged (reduce).
+// handlers: { onChunk, onStatus, onProgress, onRetry } - onProgress receives
+// human-readable status text for the chunked path, onRetry is passed to callLLMWithRetry
+async function runPromptOnTranscript(prompt, text, handlers, runOptions) {
+    const { onChunk, onStatus, onProgress, onRetry } = handlers;
+    const budget = getChunkTokenBudget(prompt, runOptions);
 
-    const files = Array.from(e.dataTransfer.files).filter(file =>
-        file.type === 'application/pdf' || file.name.endsWith('.pdf')
-    );
+    if (estimateTokens(text, runOptions.provider) <= budget) {
+        return callLLMWithRetry(prompt, text, onChunk, onStatus, onRetry, runOptions);
+    }
+    // No room left for any transcript text, so splitting would never finish
+    if (budget <= 0) {
+        const model = runOptions.modelName || FALLBACK_MODELS[runOptions.provider];
+        throw new Error(`The prompt plus max output tokens exceed ${model}'s context window - shorten the prompt or lower max output tokens`);
+    }
 
-    addFiles(files);
-}
+    const chunks = splitTranscript(text, budget, runOptions.provider);
+    const partials = [];
 
-function addFiles(files) {
-    // Filter for PDFs only
-    const pdfFiles = files.filter(file =>
-        file.type === 'application/pdf' || file.name.endsWith('.pdf')
+    // Every part is billed, so pass its token usage on
+    const onPartStatus = (status, data) => {
+        if (status === 'usage' && onStatus) onStatus(status, data);
+    };
+
+    for (let i = 0; i < chunks.length; i++) {
+        const label = `Processing part ${i + 1} of ${chunks.length}...`;
+        onProgress(label);
+        const partial = await callLLMWithRetry(buildChunkPrompt(prompt, i + 1, chunks.length), chunks[i], (chunk, fullResult) => {
+            onProgress(`${label} ${fullResult.split(/\s+/).length} words`);
+        }, onPartStatus, onRetry, runOptions);
+        partials.push(partial);
+    }
+
+    const parts = await mergePartials(
+        partials.map((partial, i) => ({ text: partial, first: i + 1, last: i + 1 })),
+        prompt, chunks.length, { onProgress, onStatus: onPartStatus, onRetry }, runOptions
     );
 
-    // Add to uploaded files (avoid duplicates)
-    pdfFiles.forEach(file => {
-        if (!uploadedFiles.find(f => f.name === file.name)) {
-            uploadedFiles.push(file);
-        }
-    });
+    onProgress(`Merging ${chunks.length} parts...`);
+    const mergeInput = formatMergeInput(parts, chunks.length);
 
-    // Sort alphabetically
-    uploadedFiles.sort((a, b) => a.name.localeCompare(b.name));
+    // Only the merged answer's schema validation matters, not the partials'
+    const onMergeStatus = (status, data) => {
+        if ((status === 'validated' || status === 'usage') && onStatus) onStatus(status, data);
+    };
 
-    updateUI();
+    return callLLMWithRetry(buildMergePrompt(prompt, chunks.length), mergeInput, onChunk, onMergeStatus, onRetry, { ...runOptions, contentLabel: 'PARTIAL OUTPUTS' });
 }
 
-function removeFileByIndex(index) {
-    uploadedFiles.splice(index, 1);
-    updateUI();
+// ============================================
+// BATCH QUEUE & RETRY
+// ============================================
+
+const DEFAULT_MAX_CONCURRENCY = 4;
+const MAX_RETRIES = 4;
+const BASE_RETRY_DELAY_MS = 2000;
+const MAX_RETRY_AFTER_MS = 60000; // Longer waits (e.g. a daily quota) fail instead of hanging the batch
+
+function getMaxConcurrency() {
+    const value = parseInt(concurrencyInput.value, 10);
+    return isNaN(value) || value < 1 ? DEFAULT_MAX_CONCURRENCY : value;
 }
 
-// PDF Text Extraction
-async function extractTextFromPDF(file) {
-    try {
-        const arrayBuffer = await file.arrayBuffer();
-        const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
-        let fullText = '';
+function loadMaxConcurrency() {
+    concurrencyInput.value = localStorage.getItem('maxConcurrency') || DEFAULT_MAX_CONCURRENCY;
+}
 
-        // Extract text from each page
-        for (let i = 1; i <= pdf.numPages; i++) {
-            const page = await pdf.getPage(i);
-            const textContent = await page.getTextContent();
-            const pageText = textContent.items.map(item => item.str).join(' ');
-            fullText += pageText + '\n\n';
+function saveMaxConcurrency() {
+    localStorage.setItem('maxConcurrency', String(getMaxConcurrency()));
+}
+
+// Resolves after ms, or rejects with an AbortError as soon as signal aborts
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(new DOMException('Cancelled', 'AbortError'));
+            return;
         }
 
-        return fullText.trim();
-    } catch (error) {
-        console.error('Error extracting PDF text:', error);
-        throw new Error(`Failed to extract text from ${file.name}: ${error.message}`);
-    }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new DOMException('Cancelled', 'AbortError'));
+        };
+        // Remove the listener once the wait is over, so retries don't pile them up on the run's signal
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
 }
 
-// Prompt Management
-function loadSavedPrompts() {
-    const saved = localStorage.getItem('savedPrompts');
-    if (saved) {
-        savedPrompts = JSON.parse(saved);
-    } else {
-        savedPrompts = [];
-    }
+// Call the LLM, retrying with exponential backoff (plus jitter) when api/llm.js
+// flags the error as a rate-limit or overloaded response.
+// onRetry(attempt, maxRetries, delayMs, error) is called before each wait.
+async function callLLMWithRetry(prompt, text, onChunk, onStatus, onRetry, runOptions) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await callLLM(prompt, text, onChunk, onStatus, runOptions);
+        } catch (error) {
+            if (!error.retryable || attempt >= MAX_RETRIES) throw error;
+            if (error.retryAfter * 1000 > MAX_RETRY_AFTER_MS) {
+                throw new Error(`${error.message} - the provider asked to wait ${Math.ceil(error.retryAfter / 60)} min before retrying, so try again later`);
+            }
 
-    // Sync default prompts: refresh whenever default-prompts.txt changes
-    if (DEFAULT_PROMPTS.length > 0) {
-        // Hash based on full content so any text or title change triggers refresh
-        const currentHash = DEFAULT_PROMPTS.map(p => p.name + ':' + p.text).join('\n');
-        const savedHash = localStorage.getItem('defaultPromptsHash');
-        if (savedHash !== currentHash) {
-            // Build set of default prompt names (old + new) to identify defaults vs user-created
-            const newDefaultNames = new Set(DEFAULT_PROMPTS.map(p => p.name));
-            const oldDefaultNames = new Set();
-            try {
-                const oldDefaults = JSON.parse(localStorage.getItem('defaultPromptNames') || '[]');
-                oldDefaults.forEach(n => oldDefaultNames.add(n));
-            } catch(e) {}
-            // Also remove legacy hardcoded prompt
-            oldDefaultNames.add('Earnings Call Summary');
-            // Keep only user-created prompts (not in old or new defaults)
-            savedPrompts = savedPrompts.filter(p => !oldDefaultNames.has(p.name) && !newDefaultNames.has(p.name));
-            // Add all current defaults
-            DEFAULT_PROMPTS.forEach(p => {
-                savedPrompts.push({ name: p.name, text: p.text });
-            });
-            localStorage.setItem('savedPrompts', JSON.stringify(savedPrompts));
-            localStorage.setItem('defaultPromptsHash', currentHash);
-            localStorage.setItem('defaultPromptNames', JSON.stringify([...newDefaultNames]));
+            const delay = error.retryAfter
+                ? error.retryAfter * 1000
+                : BASE_RETRY_DELAY_MS * 2 ** attempt + Math.floor(Math.random() * 1000);
+            if (onRetry) onRetry(attempt + 1, MAX_RETRIES, delay, error);
+            await sleep(delay, runOptions.signal);
         }
     }
+}
 
-    updateSavedPromptsButtons();
+// Run worker over every item with at most `limit` in flight; items start in order
+async function runWithConcurrency(items, limit, worker) {
+    let nextIndex = 0;
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            await worker(items[index], index);
+        }
+    });
+    await Promise.all(runners);
 }
 
-function updateSavedPromptsButtons() {
-    if (savedPrompts.length === 0) {
-        savedPromptsButtons.innerHTML = '<p style="color: #a0aec0; font-size: 0.9rem;">No saved prompts yet. Enter a name above and click Save to save a prompt.</p>';
-        return;
-    }
+// ============================================
+// STRUCTURED OUTPUT
+// ============================================
 
-    // Sort prompts alphabetically A-Z
-    const sortedPrompts = [...savedPrompts].sort((a, b) => a.name.localeCompare(b.name));
+// A prompt can carry a JSON Schema. When it does, api/llm.js asks the provider for
+// JSON matching the schema and reports whether the final output validated.
 
-    savedPromptsButtons.innerHTML = sortedPrompts.map(prompt => `
-        <button class="prompt-button" data-promptname="${escapeHtml(prompt.name)}">
-            ${escapeHtml(prompt.name)}
-        </button>
-    `).join('');
+// Returns the parsed schema, null when none is set, or false (after a toast) when invalid
+function parsePromptSchema() {
+    const raw = promptSchemaInput.value.trim();
+    if (!raw) return null;
+
+    try {
+        const schema = JSON.parse(raw);
+        if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+            throw new Error('schema must be a JSON object');
+        }
+        return schema;
+    } catch (error) {
+        promptSchemaDetails.open = true;
+        showToast(`Invalid JSON schema: ${error.message}`, 'error');
+        return false;
+    }
 }
 
-function loadPromptByName(promptName) {
-    const prompt = savedPrompts.find(p => p.name === promptName);
-    if (prompt) {
-        promptInput.value = prompt.text;
-        promptNameInput.value = prompt.name;
+function setPromptSchema(schema) {
+    promptSchemaInput.value = schema;
+    if (schema) promptSchemaDetails.open = true;
+}
 
-        // Highlight the active button
-        document.querySelectorAll('.prompt-button').forEach(btn => {
-            // Compare dataset values directly (no escaping issues)
-            if (btn.dataset.promptname === promptName) {
-                btn.classList.add('active');
-            } else {
-                btn.classList.remove('active');
-            }
-        });
+// ============================================
+// PROMPT MODEL SETTINGS
+// ============================================
 
-        // Update button states since prompt was loaded programmatically
-        updateButtonStates();
+// A prompt can carry its own model settings: { temperature, maxOutputTokens,
+// reasoningEffort, stop }. Every field is optional and api/llm.js maps each one to
+// the provider's API; a prompt with none of them set stores null.
+const REASONING_EFFORTS = ['low', 'medium', 'high'];
+const MAX_STOP_SEQUENCES = 4; // Same limits as api/llm.js
+const MAX_OUTPUT_TOKENS_LIMIT = 128000;
+
+// Keep only recognised, usable fields in a fixed order, so saved settings compare
+// equal however they were stored (JSONB reorders keys)
+function normalizePromptSettings(settings) {
+    if (!settings || typeof settings !== 'object') return null;
+
+    const normalized = {};
+    if (typeof settings.temperature === 'number' && settings.temperature >= 0 && settings.temperature <= 2) {
+        normalized.temperature = settings.temperature;
+    }
+    // Imported prompts may carry a limit the server would reject on every run
+    if (Number.isInteger(settings.maxOutputTokens) && settings.maxOutputTokens > 0) {
+        normalized.maxOutputTokens = Math.min(settings.maxOutputTokens, MAX_OUTPUT_TOKENS_LIMIT);
     }
+    if (REASONING_EFFORTS.includes(settings.reasoningEffort)) {
+        normalized.reasoningEffort = settings.reasoningEffort;
+    }
+    if (Array.isArray(settings.stop)) {
+        const stop = settings.stop.filter(s => typeof s === 'string' && s).slice(0, MAX_STOP_SEQUENCES);
+        if (stop.length > 0) normalized.stop = stop;
+    }
+    return Object.keys(normalized).length > 0 ? normalized : null;
 }
 
-async function handleSavePrompt() {
-    const text = promptInput.value.trim();
-    const name = promptNameInput.value.trim();
+function isSamePromptSettings(a, b) {
+    return JSON.stringify(normalizePromptSettings(a)) === JSON.stringify(normalizePromptSettings(b));
+}
 
-    if (!text) {
-        showToast('Please enter a prompt first', 'warning');
-        return;
-    }
+// "temperature 0.2 · 4000 max tokens · high reasoning · 2 stop sequences"
+function formatPromptSettings(settings) {
+    if (!settings) return 'defaults';
+    const parts = [];
+    if (settings.temperature !== undefined) parts.push(`temperature ${settings.temperature}`);
+    if (settings.maxOutputTokens) parts.push(`${settings.maxOutputTokens} max tokens`);
+    if (settings.reasoningEffort) parts.push(`${settings.reasoningEffort} reasoning`);
+    if (settings.stop) parts.push(`${settings.stop.length} stop sequence${settings.stop.length === 1 ? '' : 's'}`);
+    return parts.join(' · ');
+}
 
-    if (!name) {
-        showToast('Please enter a name for this prompt', 'warning');
-        return;
+// Returns { settings, error } for the values in the Model settings panel
+function readPromptSettingsInputs() {
+    const settings = {};
+
+    const temperature = promptTemperatureInput.value.trim();
+    if (temperature) {
+        settings.temperature = Number(temperature);
+        if (isNaN(settings.temperature) || settings.temperature < 0 || settings.temperature > 2) {
+            return { settings: null, error: 'Temperature must be a number from 0 to 2' };
+        }
     }
 
-    // Use auth-aware save function
-    await saveUserPrompt(name, text);
-    loadPromptByName(name);
-}
+    const maxOutputTokens = promptMaxTokensInput.value.trim();
+    if (maxOutputTokens) {
+        settings.maxOutputTokens = Number(maxOutputTokens);
+        if (!Number.isInteger(settings.maxOutputTokens) || settings.maxOutputTokens < 1 || settings.maxOutputTokens > MAX_OUTPUT_TOKENS_LIMIT) {
+            return { settings: null, error: `Max output tokens must be a whole number from 1 to ${MAX_OUTPUT_TOKENS_LIMIT}` };
+        }
+    }
 
-async function handleDeletePrompt() {
-    const name = promptNameInput.value.trim();
+    if (promptEffortSelect.value) settings.reasoningEffort = promptEffortSelect.value;
 
-    if (!name) {
-        showToast('Please select a prompt to delete', 'warning');
-        return;
+    const stop = promptStopInput.value.split('\n').filter(line => line.trim());
+    if (stop.length > MAX_STOP_SEQUENCES) {
+        return { settings: null, error: `At most ${MAX_STOP_SEQUENCES} stop sequences are allowed` };
     }
+    if (stop.length > 0) settings.stop = stop;
 
-    // Use auth-aware delete function
-    await deleteUserPrompt(name);
+    return { settings: normalizePromptSettings(settings), error: null };
 }
 
-// LLM API Integration with STREAMING support
-// authToken is passed in so we fetch it once before parallel processing
-async function callLLM(prompt, text, onChunk, onStatus, authToken) {
-    // Get selected provider and model from UI
-    const provider = providerSelect.value;
-    const modelName = modelInput.value.trim();
-
-    const headers = {
-        'Content-Type': 'application/json'
-    };
-    if (authToken) {
-        headers['Authorization'] = `Bearer ${authToken}`;
+// Returns the settings, null when all are left at their defaults, or false (after a toast) when invalid
+function parsePromptSettings() {
+    const { settings, error } = readPromptSettingsInputs();
+    if (error) {
+        promptSettingsDetails.open = true;
+        showToast(`Invalid model settings: ${error}`, 'error');
+        return false;
     }
+    return settings;
+}
 
-    const response = await fetch(API_CONFIG.backendUrl, {
-        method: 'POST',
-        headers: headers,
-        body: JSON.stringify({
-            provider: provider,
-            prompt: prompt,
-            text: text,
-            modelName: modelName
-        })
-    });
+function setPromptSettings(settings) {
+    promptTemperatureInput.value = settings?.temperature ?? '';
+    promptMaxTokensInput.value = settings?.maxOutputTokens || '';
+    promptEffortSelect.value = settings?.reasoningEffort || '';
+    promptStopInput.value = (settings?.stop || []).join('\n');
+    if (settings) promptSettingsDetails.open = true;
+}
 
-    if (!response.ok) {
-        const error = await response.json().catch(() => ({ error: response.statusText }));
-        throw new Error(error.error || `Server error: ${response.statusText}`);
+// Parse a structured result; returns undefined if the output is not JSON
+// (models occasionally wrap it in a markdown code fence, so strip that first)
+function parseStructuredOutput(output) {
+    const fenced = (output || '').trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/);
+    try {
+        return JSON.parse(fenced ? fenced[1] : output);
+    } catch (e) {
+        return undefined;
     }
+}
 
-    // Read streaming response
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-    let fullResult = '';
-    let buffer = '';
+// Flatten nested JSON into { 'guidance.revenue.low': 1.2, 'segments[0].name': 'Cloud', ... }.
+// Arrays of plain values become one '; '-separated cell.
+function flattenJson(value, prefix = '', rows = {}) {
+    if (Array.isArray(value)) {
+        if (value.every(item => item === null || typeof item !== 'object')) {
+            rows[prefix || 'value'] = value.join('; ');
+        } else {
+            value.forEach((item, i) => flattenJson(item, `${prefix}[${i}]`, rows));
+        }
+    } else if (value !== null && typeof value === 'object') {
+        Object.entries(value).forEach(([key, child]) => {
+            flattenJson(child, prefix ? `${prefix}.${key}` : key, rows);
+        });
+    } else {
+        rows[prefix || 'value'] = value === null ? '' : value;
+    }
+    return rows;
+}
 
-    while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
+function formatValidationStatus(validation) {
+    if (!validation) return '';
+    if (validation.valid) return ' - schema valid';
+    const count = validation.errors.length;
+    return ` - ${count} schema error${count === 1 ? '' : 's'}`;
+}
 
-        // Use stream: true to handle multi-byte characters split across chunks
-        buffer += decoder.decode(value, { stream: true });
-        const lines = buffer.split('\n');
+// ============================================
+// FILE PROCESSING
+// ============================================
 
-        // Keep the last partial line in the buffer
-        buffer = lines.pop() || '';
+// Create a result entry for one file. The result keeps everything needed to
+// run it again (file, prompt, provider/model) so it can be retried on its own.
+function createResult(file, prompt, promptName, runOptions, promptVersion = null) {
+    return {
+        filename: file.name,
+        status: 'queued',
+        statusText: 'Queued',
+        output: '',
+        file,
+        prompt,
+        promptName,
+        promptVersion,
+        runOptions,
+        usage: [],
+        controller: new AbortController()
+    };
+}
 
-        let serverDone = false;
-        for (const line of lines) {
-            if (line.trim() && line.startsWith('data: ')) {
-                const data = line.slice(6).trim();
+function isResultActive(result) {
+    return ['queued', 'processing', 'retrying'].includes(result.status);
+}
 
-                try {
-                    const parsed = JSON.parse(data);
+// Extract, prompt and save a single result. Updates the result object in place
+// (not by index) so a batch that is cleared or replaced mid-run cannot write into
+// the wrong entry.
+async function processResult(result) {
+    const { file, prompt, promptName, promptVersion } = result;
+    const runOptions = { ...result.runOptions, signal: result.controller.signal };
+    const provider = runOptions.provider;
+    const modelName = runOptions.modelName || FALLBACK_MODELS[provider];
+
+    // Cancelled while still waiting in the queue
+    if (result.controller.signal.aborted) {
+        markResultCancelled(result);
+        return;
+    }
 
-                    if (parsed.error) {
-                        throw new Error(parsed.error);
-                    }
+    try {
+        // Update status to processing
+        result.status = 'processing';
+        result.statusText = 'Extracting text...';
+        result.output = '';
+        result.validation = null;
+        result.ocrSummary = '';
+        result.structureSummary = '';
+        result.usage = [];
+        if (result.pipeline) resetPipelineSteps(result);
+        updateResultsDisplay();
+
+        // Extract text (scanned PDF pages are OCR'd)
+        const extracted = await extractTranscriptText(file, (progressText) => {
+            result.statusText = progressText;
+            updateResultsDisplay();
+        }, runOptions.transcriptFormat);
+        const transcriptText = extracted.text;
+        result.ocrSummary = formatOcrSummary(extracted);
+        result.structureSummary = formatStructureSummary(extracted);
+        result.pages = extracted.pages || null; // Page text that citations are checked against
+
+        // Update status
+        result.statusText = 'Connecting to server...';
+        updateResultsDisplay();
+
+        // Pipelines run each step in turn and save every step to history
+        if (result.pipeline) {
+            const output = await runPipeline(result, transcriptText, runOptions);
+            result.status = 'complete';
+            result.statusText = `Complete (${result.steps.length} steps)${formatValidationStatus(result.validation)}`;
+            result.output = output;
+            updateResultsDisplay();
+            return;
+        }
 
-                    if (parsed.done) {
-                        serverDone = true;
-                        break;
-                    }
+        // Call LLM API with streaming and status callbacks
+        // (long transcripts are chunked and merged automatically)
+        const output = await runPromptOnTranscript(prompt, transcriptText, createResultCallbacks(result), runOptions);
+
+        // Update result
+        result.status = 'complete';
+        result.statusText = `Complete (${provider}/${modelName})${formatValidationStatus(result.validation)}`;
+        result.output = output;
+        updateResultsDisplay();
+
+        result.historyId = await saveHistoryEntry({
+            filename: file.name,
+            promptName,
+            promptVersion,
+            promptText: prompt,
+            provider,
+            model: modelName,
+            output
+        });
 
-                    if (parsed.status && onStatus) {
-                        onStatus(parsed.status);
-                    }
+    } catch (error) {
+        if (error.name === 'AbortError' || result.controller.signal.aborted) {
+            markResultCancelled(result);
+            return;
+        }
+        console.error(`Error processing ${file.name}:`, error);
+        result.status = 'error';
+        result.statusText = `Error: ${error.message}`;
+        updateResultsDisplay();
+    }
+}
 
-                    if (parsed.chunk) {
-                        fullResult += parsed.chunk;
-                        // Call the callback with the new chunk
-                        if (onChunk) {
-                            onChunk(parsed.chunk, fullResult);
-                        }
-                    }
-                } catch (e) {
-                    if (e.message && e.message !== 'Unexpected end of JSON input') {
-                        throw e;
-                    }
-                    // Skip malformed JSON
-                }
+// Streaming callbacks that mirror LLM progress onto a result; `label` prefixes the
+// status text (e.g. the pipeline step)
+function createResultCallbacks(result, label = '') {
+    const prefix = label ? `${label}: ` : '';
+    return {
+        onChunk: (chunk, fullResult) => {
+            // Update the output and status in real-time as chunks arrive
+            result.status = 'processing';
+            result.output = fullResult;
+            const words = fullResult.split(/\s+/).length;
+            result.statusText = `${prefix}Streaming... ${words} words`;
+            updateResultsDisplay();
+        },
+        onStatus: (status, data) => {
+            // Update status from backend signals
+            if (status === 'connected') {
+                result.status = 'processing';
+                result.statusText = `${prefix}LLM is thinking...`;
+                updateResultsDisplay();
+            } else if (status === 'validated') {
+                result.validation = data;
+            } else if (status === 'usage') {
+                result.usage.push(data);
             }
+        },
+        onProgress: (progressText) => {
+            result.status = 'processing';
+            result.statusText = `${prefix}${progressText}`;
+            updateResultsDisplay();
+        },
+        onRetry: (attempt, maxRetries, delay) => {
+            result.status = 'retrying';
+            result.statusText = `${prefix}Rate limited - retrying in ${Math.ceil(delay / 1000)}s (attempt ${attempt} of ${maxRetries})`;
+            updateResultsDisplay();
         }
+    };
+}
 
-        // Break out of the loop when server signals completion
-        if (serverDone) break;
-    }
+function markResultCancelled(result) {
+    result.status = 'cancelled';
+    result.statusText = 'Cancelled';
+    updateResultsDisplay();
+}
 
-    // Flush decoder to handle any remaining bytes
-    if (buffer.trim()) {
-        decoder.decode(); // Flush
+// Abort the in-flight request (or queued slot) for one result
+function cancelResult(result) {
+    if (!isResultActive(result)) return;
+    result.controller.abort();
+    // Queued results have no request to abort, so mark them straight away
+    if (result.status === 'queued') {
+        markResultCancelled(result);
     }
+}
 
-    return fullResult;
+function cancelAllResults() {
+    currentResults.forEach(cancelResult);
+}
+
+// Rerun a single finished result, using the provider/model currently selected.
+// The JSON schema and model settings stay the ones the batch was started with.
+async function retryResult(result) {
+    if (isResultActive(result) || !result.file) return;
+
+    const { jsonSchema, settings } = result.runOptions;
+    result.runOptions = getRunOptions(await getAuthToken(), undefined, jsonSchema, settings);
+    result.controller = new AbortController();
+    result.status = 'queued';
+    result.statusText = 'Queued';
+    updateResultsDisplay();
+    updateCancelButton();
+
+    await processResult(result);
+    updateCancelButton();
+}
+
+function updateCancelButton() {
+    cancelBtn.style.display = currentResults.some(isResultActive) ? '' : 'none';
 }
 
 // Control Handlers
 async function handleParse() {
     if (uploadedFiles.length === 0) {
-        showToast('Please upload at least one PDF file', 'warning');
+        showToast('Please upload at least one transcript file', 'warning');
+        return;
+    }
+
+    // A selected pipeline replaces the per-file prompts
+    let pipeline = null;
+    if (getActivePipeline()) {
+        try {
+            pipeline = resolvePipeline(getActivePipeline());
+        } catch (error) {
+            showToast(error.message, 'error');
+            return;
+        }
+    }
+
+    // Files without an assigned saved prompt use the prompt text box
+    const usesCurrentPrompt = !pipeline && uploadedFiles.some(file => !getAssignedPromptName(file));
+    if (usesCurrentPrompt && !promptInput.value.trim()) {
+        showToast('Please enter a prompt', 'warning');
+        return;
+    }
+
+    const prompt = promptInput.value.trim();
+    const promptName = promptNameInput.value.trim();
+    const jsonSchema = usesCurrentPrompt ? parsePromptSchema() : null;
+    if (jsonSchema === false) return;
+    const settings = usesCurrentPrompt ? parsePromptSettings() : null;
+    if (settings === false) return;
+
+    // Confirm before sending anything that will not fit in the model's context window
+    const warnings = getPreflightWarnings();
+    if (warnings.length > 0 && !confirm(`Some requests will not fit in the model's context window:\n\n${warnings.map(w => `- ${w}`).join('\n')}\n\nParse anyway?`)) {
         return;
     }
 
-    if (!promptInput.value.trim()) {
-        showToast('Please enter a prompt', 'warning');
+    // Prompt, name, schema and model settings for each file
+    const plans = uploadedFiles.map(file => {
+        if (pipeline) {
+            return { file, promptText: '', promptName: pipeline.name, promptVersion: null, jsonSchema: null, settings: null, pipeline };
+        }
+
+        const assigned = savedPrompts.find(p => p.name === getAssignedPromptName(file));
+        if (!assigned) {
+            return { file, promptText: prompt, promptName, promptVersion: getSavedPromptVersion(promptName, prompt), jsonSchema, settings };
+        }
+
+        let assignedSchema = null;
+        try {
+            assignedSchema = assigned.schema ? JSON.parse(assigned.schema) : null;
+        } catch (e) {
+            console.error(`Ignoring invalid JSON schema saved with "${getPromptLabel(assigned)}":`, e);
+        }
+        return { file, promptText: assigned.text, promptName: getPromptLabel(assigned), promptVersion: assigned.version || 1, jsonSchema: assignedSchema, settings: assigned.settings || null };
+    });
+
+    // Templated prompts: confirm the variable values before anything runs
+    try {
+        plans.forEach(plan => {
+            plan.variables = plan.pipeline ? getPipelineTemplateVariables(plan.pipeline) : getTemplateVariables(plan.promptText);
+        });
+    } catch (error) {
+        showToast(`Prompt template error: ${error.message}`, 'error');
         return;
     }
+    const templatedPlans = plans.filter(plan => plan.variables.length > 0);
+    if (templatedPlans.length > 0) {
+        const valuesByRow = await confirmTemplateValues(templatedPlans);
+        if (!valuesByRow) return;
+        templatedPlans.forEach((plan, row) => {
+            plan.values = valuesByRow[row] || {};
+        });
+        saveTemplateFieldValues(valuesByRow);
+    }
 
-    const prompt = promptInput.value.trim();
-
-    // Initialize results
-    currentResults = uploadedFiles.map(file => ({
-        filename: file.name,
-        status: 'pending',
-        statusText: 'Pending...',
-        output: ''
-    }));
+    // Fetch auth token ONCE before parallel processing to avoid
+    // concurrent getSession() calls that can deadlock the Supabase SDK
+    const authToken = await getAuthToken();
+    const runOptions = getRunOptions(authToken, undefined, jsonSchema);
+
+    // Stop any single-file retries still running from the previous batch
+    cancelAllResults();
+
+    // Initialize results, each with the prompt assigned to its file
+    currentResults = plans.map(plan => {
+        const result = createResult(
+            plan.file,
+            plan.values ? renderPromptTemplate(plan.promptText, plan.values) : plan.promptText,
+            plan.promptName,
+            { ...runOptions, jsonSchema: plan.jsonSchema, settings: plan.settings },
+            plan.promptVersion
+        );
+        return plan.pipeline ? attachPipeline(result, plan.pipeline, plan.values) : result;
+    });
 
     updateUI();
 
     // Disable parse button during processing
     parseBtn.disabled = true;
     parseBtn.textContent = 'Processing...';
+    updateCancelButton();
 
     // Start elapsed timer
     const parseStartTime = Date.now();
@@ -1126,58 +5930,9 @@ async function handleParse() {
         elapsedTimer.textContent = formatElapsed(Date.now() - parseStartTime);
     }, 1000);
 
-    // Fetch auth token ONCE before parallel processing to avoid
-    // concurrent getSession() calls that can deadlock the Supabase SDK
-    const authToken = await getAuthToken();
-
-    // Process all files in parallel
-    const processFile = async (file, index) => {
-        try {
-            // Update status to processing
-            currentResults[index].status = 'processing';
-            currentResults[index].statusText = 'Extracting text...';
-            updateResultsDisplay();
-
-            // Extract text from PDF
-            const pdfText = await extractTextFromPDF(file);
-
-            // Update status
-            currentResults[index].statusText = 'Connecting to server...';
-            updateResultsDisplay();
-
-            // Call LLM API with streaming and status callbacks
-            const result = await callLLM(prompt, pdfText, (chunk, fullResult) => {
-                // Update the output and status in real-time as chunks arrive
-                currentResults[index].output = fullResult;
-                const words = fullResult.split(/\s+/).length;
-                currentResults[index].statusText = `Streaming... ${words} words`;
-                updateResultsDisplay();
-            }, (status) => {
-                // Update status from backend signals
-                if (status === 'connected') {
-                    currentResults[index].statusText = 'LLM is thinking...';
-                    updateResultsDisplay();
-                }
-            }, authToken);
-
-            // Update result
-            currentResults[index].status = 'complete';
-            currentResults[index].statusText = 'Complete';
-            currentResults[index].output = result;
-            updateResultsDisplay();
-
-        } catch (error) {
-            console.error(`Error processing ${file.name}:`, error);
-            currentResults[index].status = 'error';
-            currentResults[index].statusText = `Error: ${error.message}`;
-            updateResultsDisplay();
-        }
-    };
-
-    // Process all files concurrently
-    await Promise.all(
-        uploadedFiles.map((file, index) => processFile(file, index))
-    );
+    // Process files through a queue with at most maxConcurrency running at once.
+    // Iterate over a copy so clearing the results mid-batch cannot affect the queue.
+    await runWithConcurrency([...currentResults], getMaxConcurrency(), processResult);
 
     // Stop elapsed timer and freeze at final time
     clearInterval(elapsedInterval);
@@ -1187,6 +5942,7 @@ async function handleParse() {
     // Re-enable parse button
     parseBtn.disabled = false;
     parseBtn.textContent = 'Parse Transcripts';
+    updateCancelButton();
 }
 
 function handleClearAll() {
@@ -1194,8 +5950,16 @@ function handleClearAll() {
         return;
     }
 
-    // Clear without confirmation
+    // Clear without confirmation (stopping anything still running)
+    cancelAllResults();
+    if (synthesisRun) {
+        synthesisRun.controller.abort();
+        synthesisRun = null;
+        renderSynthesis();
+    }
     uploadedFiles = [];
+    fileAssignments.clear();
+    fileEstimates.clear();
     currentResults = [];
     if (elapsedInterval) {
         clearInterval(elapsedInterval);
@@ -1214,6 +5978,9 @@ function updateUI() {
 }
 
 function updateFileList() {
+    updateCompareFileOptions();
+    updatePreflightSummary();
+
     if (uploadedFiles.length === 0) {
         fileList.innerHTML = '';
         return;
@@ -1221,13 +5988,19 @@ function updateFileList() {
 
     fileList.innerHTML = uploadedFiles.map((file, index) => `
         <div class="file-item">
-            <span class="file-name">${escapeHtml(file.name)}</span>
+            <div class="file-info">
+                <span class="file-name"><span class="file-type">${escapeHtml(getExtractor(file).label)}</span>${escapeHtml(file.name)}</span>
+                ${renderFileEstimate(file)}
+                ${renderFilePromptSelect(file, index)}
+            </div>
             <button class="file-remove" data-index="${index}">×</button>
         </div>
     `).join('');
 }
 
 function updateResultsDisplay() {
+    updateBatchUsageSummary();
+
     if (currentResults.length === 0) {
         resultsContainer.innerHTML = '<p class="empty-state">Upload files and click "Parse Transcripts" to begin</p>';
         return;
@@ -1236,24 +6009,559 @@ function updateResultsDisplay() {
     resultsContainer.innerHTML = currentResults.map((result, index) => `
         <div class="result-item ${result.status}">
             <div class="result-header">
-                <span class="result-filename">${escapeHtml(result.filename)}</span>
-                <span class="result-status">${result.statusText}</span>
+                <span class="result-filename">${escapeHtml(result.filename)}${result.ocrSummary ? ` <span class="ocr-badge" title="Pages without a usable text layer were read with OCR">${escapeHtml(result.ocrSummary)}</span>` : ''}${result.structureSummary ? ` <span class="structure-badge" title="Speaker turns detected by the transcript normalizer">${escapeHtml(result.structureSummary)}</span>` : ''}</span>
+                <span class="result-status">${escapeHtml(result.statusText)}</span>
             </div>
+            ${result.pipeline ? `<div class="history-meta">Pipeline: ${escapeHtml(result.pipeline.name)}</div>` : result.promptName ? `<div class="history-meta">Prompt: ${escapeHtml(formatPromptLabel(result.promptName, result.promptVersion))}</div>` : ''}
+            ${result.usage && result.usage.length > 0 ? `<div class="history-meta usage-meta">${escapeHtml(formatUsage(result.usage))}</div>` : ''}
+            ${renderPipelineResultSteps(result, index)}
+            ${isResultActive(result) ? `
+                <div class="result-actions">
+                    <button class="btn btn-small btn-danger cancel-result-btn" data-index="${index}">Cancel</button>
+                </div>
+            ` : ''}
             ${result.status === 'complete' ? `
                 <div class="result-actions">
                     <button class="btn btn-small preview-btn" data-index="${index}">Preview</button>
                     <button class="btn btn-small btn-primary copy-btn" data-index="${index}">Copy</button>
+                    <button class="btn btn-small chat-btn" data-index="${index}" title="Ask follow-up questions about this result">Chat${result.chat && result.chat.length > 0 ? ` (${result.chat.length / 2})` : ''}</button>
+                    ${isPdfResult(result) ? `<button class="btn btn-small view-pdf-btn" data-index="${index}" title="Show the PDF next to this result">View PDF</button>` : ''}
+                    ${renderRetryButton(result, index)}
                 </div>
                 <div class="result-preview" id="preview-${index}">
-                    ${convertMarkdownToHtmlPreview(cleanOutput(result.output))}
+                    ${renderResultPreview(result, index)}
+                </div>
+            ` : ''}
+            ${result.status === 'error' || result.status === 'cancelled' ? `
+                <div class="result-actions">
+                    ${renderRetryButton(result, index)}
                 </div>
             ` : ''}
         </div>
     `).join('');
 }
 
+// Structured results show a field/value table (plus any schema errors);
+// everything else is rendered as markdown
+function renderResultPreview(result, index) {
+    const data = result.runOptions?.jsonSchema ? parseStructuredOutput(result.output) : undefined;
+    if (data === undefined) {
+        return renderCitedOutput(cleanOutput(result.output), result, index);
+    }
+
+    const rows = Object.entries(flattenJson(data)).map(([field, value]) => `
+        <tr><th>${escapeHtml(field)}</th><td>${escapeHtml(String(value))}</td></tr>
+    `).join('');
+    const errors = result.validation && !result.validation.valid ? `
+        <ul class="schema-errors">
+            ${result.validation.errors.map(error => `<li>${escapeHtml(error)}</li>`).join('')}
+        </ul>
+    ` : '';
+
+    return `${errors}<table class="structured-table"><thead><tr><th>Field</th><th>Value</th></tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+// Results reopened from history have no File to rerun
+function renderRetryButton(result, index) {
+    if (!result.file) return '';
+    return `<button class="btn btn-small btn-secondary retry-result-btn" data-index="${index}" title="Run this file again with the provider and model currently selected above">Retry</button>`;
+}
+
 function updateButtonStates() {
-    parseBtn.disabled = uploadedFiles.length === 0 || !promptInput.value.trim();
+    parseBtn.disabled = uploadedFiles.length === 0
+        || (!getActivePipeline() && !promptInput.value.trim() && uploadedFiles.some(file => !getAssignedPromptName(file)));
+}
+
+// ============================================
+// MODEL COMPARISON
+// ============================================
+
+const COMPARE_TARGET_COUNT = 3;
+const MAX_DIFF_CELLS = 16000000; // Word-diff table size cap (~32MB)
+
+var comparisonRun = null; // { filename, diffMode, columns: [{ provider, modelName, status, ... }] }
+
+// Build the provider/model rows from providerSelect so they list the same providers.
+// The last row is optional, so comparisons can use 2 or 3 models.
+function renderCompareTargets() {
+    const providers = Array.from(providerSelect.options).map(option => option.value);
+
+    compareTargets.innerHTML = Array.from({ length: COMPARE_TARGET_COUNT }, (_, i) => `
+        <div class="compare-target-row">
+            <select class="form-control compare-provider" data-row="${i}">
+                ${i >= 2 ? '<option value="">None</option>' : ''}
+                ${providerSelect.innerHTML}
+            </select>
+            <input type="text" class="form-control compare-model" data-row="${i}" placeholder="Model name">
+        </div>
+    `).join('');
+
+    // Default to the current provider vs. the next one in the list
+    const currentIndex = Math.max(providers.indexOf(providerSelect.value), 0);
+    compareTargets.querySelectorAll('.compare-provider').forEach((select, i) => {
+        select.value = i >= 2 ? '' : providers[(currentIndex + i) % providers.length];
+        applyCompareModelDefault(select);
+    });
+}
+
+function applyCompareModelDefault(select) {
+    const modelField = compareTargets.querySelector(`.compare-model[data-row="${select.dataset.row}"]`);
+    const provider = select.value;
+    modelField.value = provider ? (modelDefaults[provider] || FALLBACK_MODELS[provider] || '') : '';
+    modelField.disabled = !provider;
+}
+
+function getCompareTargets() {
+    return Array.from(compareTargets.querySelectorAll('.compare-target-row'))
+        .map(row => ({
+            provider: row.querySelector('.compare-provider').value,
+            modelName: row.querySelector('.compare-model').value.trim()
+        }))
+        .filter(target => target.provider);
+}
+
+function updateCompareFileOptions() {
+    const selected = compareFileSelect.value;
+    compareFileSelect.innerHTML = uploadedFiles.length === 0
+        ? '<option value="">Upload a transcript first</option>'
+        : uploadedFiles.map(file => `<option value="${escapeHtml(file.name)}">${escapeHtml(file.name)}</option>`).join('');
+    if (uploadedFiles.some(file => file.name === selected)) {
+        compareFileSelect.value = selected;
+    }
+}
+
+async function handleCompare() {
+    const file = uploadedFiles.find(f => f.name === compareFileSelect.value);
+    const prompt = promptInput.value.trim();
+    const targets = getCompareTargets();
+    const jsonSchema = parsePromptSchema();
+    if (jsonSchema === false) return;
+    const settings = parsePromptSettings();
+    if (settings === false) return;
+
+    if (!file) {
+        showToast('Please choose a transcript to compare', 'warning');
+        return;
+    }
+    if (!prompt) {
+        showToast('Please enter a prompt', 'warning');
+        return;
+    }
+    if (targets.length < 2) {
+        showToast('Choose at least two provider/model pairs', 'warning');
+        return;
+    }
+
+    // Templated prompts use the values detected for this file (no confirmation form)
+    let renderedPrompt;
+    try {
+        renderedPrompt = renderPromptTemplate(prompt, getDefaultTemplateValues(file));
+    } catch (error) {
+        showToast(`Prompt template error: ${error.message}`, 'error');
+        return;
+    }
+
+    cancelComparison();
+
+    const promptName = promptNameInput.value.trim();
+    const promptVersion = getSavedPromptVersion(promptName, prompt);
+    const authToken = await getAuthToken();
+    const run = {
+        filename: file.name,
+        diffMode: false,
+        columns: targets.map(target => ({
+            provider: target.provider,
+            modelName: target.modelName || FALLBACK_MODELS[target.provider] || '',
+            status: 'queued',
+            statusText: 'Queued',
+            output: '',
+            controller: new AbortController()
+        }))
+    };
+    comparisonRun = run;
+    renderComparison();
+
+    let text;
+    try {
+        text = (await extractTranscriptText(file, null, getTranscriptFormat())).text;
+    } catch (error) {
+        run.columns.forEach(column => {
+            column.status = 'error';
+            column.statusText = `Error: ${error.message}`;
+        });
+        renderComparison();
+        return;
+    }
+
+    await Promise.all(run.columns.map(column =>
+        runComparisonColumn(column, { prompt: renderedPrompt, promptName, promptVersion, text, filename: file.name, authToken, jsonSchema, settings })
+    ));
+}
+
+async function runComparisonColumn(column, { prompt, promptName, promptVersion, text, filename, authToken, jsonSchema, settings }) {
+    const runOptions = {
+        provider: column.provider,
+        modelName: column.modelName,
+        authToken,
+        signal: column.controller.signal,
+        jsonSchema,
+        settings
+    };
+    column.startedAt = performance.now();
+
+    try {
+        const output = await runPromptOnTranscript(prompt, text, {
+            onChunk: (chunk, fullResult) => {
+                if (!column.firstTokenAt) column.firstTokenAt = performance.now();
+                column.status = 'processing';
+                column.output = fullResult;
+                column.statusText = `Streaming... ${fullResult.split(/\s+/).length} words`;
+                renderComparison();
+            },
+            onStatus: (status) => {
+                if (status === 'connected') {
+                    column.status = 'processing';
+                    column.statusText = 'LLM is thinking...';
+                    renderComparison();
+                }
+            },
+            onProgress: (progressText) => {
+                column.status = 'processing';
+                column.statusText = progressText;
+                renderComparison();
+            },
+            onRetry: (attempt, maxRetries, delay) => {
+                column.status = 'retrying';
+                column.statusText = `Rate limited - retrying in ${Math.ceil(delay / 1000)}s (attempt ${attempt} of ${maxRetries})`;
+                renderComparison();
+            }
+        }, runOptions);
+
+        column.finishedAt = performance.now();
+        column.output = output;
+        column.status = 'complete';
+        column.statusText = 'Complete';
+        renderComparison();
+
+        await saveHistoryEntry({
+            filename,
+            promptName,
+            promptVersion,
+            promptText: prompt,
+            provider: column.provider,
+            model: column.modelName,
+            output
+        });
+    } catch (error) {
+        column.finishedAt = performance.now();
+        if (error.name === 'AbortError' || column.controller.signal.aborted) {
+            column.status = 'cancelled';
+            column.statusText = 'Cancelled';
+        } else {
+            console.error(`Error comparing ${column.provider}/${column.modelName}:`, error);
+            column.status = 'error';
+            column.statusText = `Error: ${error.message}`;
+        }
+        renderComparison();
+    }
+}
+
+function cancelComparison() {
+    if (!comparisonRun) return;
+    comparisonRun.columns.forEach(column => {
+        if (isResultActive(column)) column.controller.abort();
+    });
+}
+
+function formatSeconds(ms) {
+    return `${(ms / 1000).toFixed(1)}s`;
+}
+
+function renderComparisonStats(column) {
+    if (!column.startedAt) return '';
+    const end = column.finishedAt || performance.now();
+    const words = column.output ? column.output.split(/\s+/).filter(Boolean).length : 0;
+    const stats = [
+        column.firstTokenAt ? `First token ${formatSeconds(column.firstTokenAt - column.startedAt)}` : null,
+        `Total ${formatSeconds(end - column.startedAt)}`,
+        `${words} words`,
+        `${column.output.length} chars`
+    ].filter(Boolean);
+    return stats.join(' · ');
+}
+
+// Word-level diff using a longest-common-subsequence table.
+// Returns [{ type: 'equal' | 'insert' | 'delete', text }], or null if the texts are too long.
+function diffWords(oldText, newText) {
+    const a = oldText.match(/\S+\s*/g) || [];
+    const b = newText.match(/\S+\s*/g) || [];
+    if ((a.length + 1) * (b.length + 1) > MAX_DIFF_CELLS) return null;
+
+    // Compare words without their trailing whitespace
+    const aKeys = a.map(token => token.trim());
+    const bKeys = b.map(token => token.trim());
+    const width = b.length + 1;
+    const lcs = new Uint16Array((a.length + 1) * width);
+
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i * width + j] = aKeys[i] === bKeys[j]
+                ? lcs[(i + 1) * width + j + 1] + 1
+                : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+        }
+    }
+
+    const ops = [];
+    const push = (type, text) => {
+        const last = ops[ops.length - 1];
+        if (last && last.type === type) {
+            last.text += text;
+        } else {
+            ops.push({ type, text });
+        }
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (aKeys[i] === bKeys[j]) {
+            push('equal', b[j]);
+            i++;
+            j++;
+        } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+            push('delete', a[i++]);
+        } else {
+            push('insert', b[j++]);
+        }
+    }
+    while (i < a.length) push('delete', a[i++]);
+    while (j < b.length) push('insert', b[j++]);
+
+    return ops;
+}
+
+function renderWordDiff(baseline, output) {
+    const ops = diffWords(cleanOutput(baseline), cleanOutput(output));
+    if (!ops) {
+        return '<p class="empty-state">Outputs are too long to diff</p>';
+    }
+    return ops.map(op => {
+        const text = escapeHtml(op.text);
+        if (op.type === 'insert') return `<ins>${text}</ins>`;
+        if (op.type === 'delete') return `<del>${text}</del>`;
+        return text;
+    }).join('');
+}
+
+function renderComparison() {
+    if (!comparisonRun) {
+        comparisonContainer.innerHTML = '';
+        return;
+    }
+
+    const { columns, diffMode } = comparisonRun;
+    const baseline = columns[0];
+    const allDone = columns.every(column => !isResultActive(column));
+
+    comparisonContainer.innerHTML = `
+        <div class="comparison-header">
+            <span class="result-filename">Comparing: ${escapeHtml(comparisonRun.filename)}</span>
+            <div class="result-actions">
+                ${allDone ? `
+                    <button class="btn btn-small btn-secondary compare-diff-btn">${diffMode ? 'Show formatted' : 'Show word diff'}</button>
+                ` : `
+                    <button class="btn btn-small btn-danger compare-cancel-btn">Cancel</button>
+                `}
+                <button class="btn btn-small btn-secondary compare-close-btn">Close</button>
+            </div>
+        </div>
+        <div class="comparison-grid" style="grid-template-columns: repeat(${columns.length}, minmax(0, 1fr));">
+            ${columns.map((column, index) => `
+                <div class="comparison-column result-item ${column.status}">
+                    <div class="result-header">
+                        <span class="result-filename">${escapeHtml(column.provider)}/${escapeHtml(column.modelName)}${index === 0 && diffMode ? ' (baseline)' : ''}</span>
+                        <span class="result-status">${escapeHtml(column.statusText)}</span>
+                    </div>
+                    <div class="comparison-stats">${renderComparisonStats(column)}</div>
+                    ${column.status === 'complete' ? `
+                        <div class="result-actions">
+                            <button class="btn btn-small btn-primary compare-copy-btn" data-index="${index}">Copy</button>
+                        </div>
+                    ` : ''}
+                    <div class="result-preview visible comparison-output${diffMode && index > 0 ? ' diff-view' : ''}">
+                        ${diffMode && index > 0
+                            ? renderWordDiff(baseline.output, column.output)
+                            : convertMarkdownToHtmlPreview(cleanOutput(column.output))}
+                    </div>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+// ============================================
+// BATCH SYNTHESIS
+// ============================================
+
+var synthesisRun = null; // { source, documentCount, status, statusText, output, controller }
+
+function buildSynthesisPrompt(prompt, documentCount, source) {
+    const kind = source === 'outputs' ? 'per-transcript results produced by an earlier prompt' : 'full transcripts';
+    return `${prompt}
+
+NOTE: Below are ${documentCount} documents (${kind}), each starting with a "=== DOCUMENT n OF ${documentCount}: filename ===" header. Produce one report that covers all of them together, and name the source document whenever you attribute a figure or statement.`;
+}
+
+function buildSynthesisInput(documents) {
+    return documents
+        .map((doc, i) => `=== DOCUMENT ${i + 1} OF ${documents.length}: ${doc.filename} ===\n${doc.text}`)
+        .join('\n\n');
+}
+
+// Second-stage run: one prompt over every completed result (or every raw transcript),
+// streamed into its own result card
+async function handleSynthesize() {
+    const prompt = synthesisPromptInput.value.trim();
+    const source = synthesisSourceSelect.value;
+
+    if (!prompt) {
+        showToast('Please enter a synthesis prompt', 'warning');
+        return;
+    }
+
+    // Outputs are snapshotted now; transcripts follow the file list order
+    const sources = source === 'outputs'
+        ? getExportableResults().map(result => ({ filename: result.filename, text: cleanOutput(result.output) }))
+        : [...uploadedFiles];
+
+    if (sources.length < 2) {
+        showToast(source === 'outputs'
+            ? 'Synthesis needs at least two completed results'
+            : 'Synthesis needs at least two uploaded transcripts', 'warning');
+        return;
+    }
+
+    if (synthesisRun) synthesisRun.controller.abort();
+
+    const authToken = await getAuthToken();
+    const run = {
+        source,
+        documentCount: sources.length,
+        status: 'processing',
+        statusText: 'Preparing documents...',
+        output: '',
+        controller: new AbortController()
+    };
+    synthesisRun = run;
+    renderSynthesis();
+
+    const runOptions = {
+        ...getRunOptions(authToken, run.controller.signal),
+        contentLabel: source === 'outputs' ? 'RESULTS' : 'TRANSCRIPTS'
+    };
+    const provider = runOptions.provider;
+    const modelName = runOptions.modelName || FALLBACK_MODELS[provider];
+    const promptText = buildSynthesisPrompt(prompt, sources.length, source);
+
+    try {
+        let documents = sources;
+        if (source === 'transcripts') {
+            documents = [];
+            for (let i = 0; i < sources.length; i++) {
+                if (run.controller.signal.aborted) throw new DOMException('Aborted', 'AbortError');
+                run.statusText = `Extracting text ${i + 1} of ${sources.length}...`;
+                renderSynthesis();
+                const extracted = await extractTranscriptText(sources[i], null, runOptions.transcriptFormat);
+                documents.push({ filename: sources[i].name, text: extracted.text });
+            }
+        }
+
+        run.statusText = 'Connecting to server...';
+        renderSynthesis();
+
+        const output = await runPromptOnTranscript(promptText, buildSynthesisInput(documents), {
+            onChunk: (chunk, fullResult) => {
+                run.status = 'processing';
+                run.output = fullResult;
+                run.statusText = `Streaming... ${fullResult.split(/\s+/).length} words`;
+                renderSynthesis();
+            },
+            onStatus: (status) => {
+                if (status === 'connected') {
+                    run.status = 'processing';
+                    run.statusText = 'LLM is thinking...';
+                    renderSynthesis();
+                }
+            },
+            onProgress: (progressText) => {
+                run.status = 'processing';
+                run.statusText = progressText;
+                renderSynthesis();
+            },
+            onRetry: (attempt, maxRetries, delay) => {
+                run.status = 'retrying';
+                run.statusText = `Rate limited - retrying in ${Math.ceil(delay / 1000)}s (attempt ${attempt} of ${maxRetries})`;
+                renderSynthesis();
+            }
+        }, runOptions);
+
+        run.output = output;
+        run.status = 'complete';
+        run.statusText = `Complete (${provider}/${modelName})`;
+        renderSynthesis();
+
+        await saveHistoryEntry({
+            filename: `Synthesis of ${documents.map(doc => doc.filename).join(', ')}`,
+            promptName: 'Synthesis',
+            promptText: prompt,
+            provider,
+            model: modelName,
+            output
+        });
+    } catch (error) {
+        if (error.name === 'AbortError' || run.controller.signal.aborted) {
+            run.status = 'cancelled';
+            run.statusText = 'Cancelled';
+        } else {
+            console.error('Synthesis failed:', error);
+            run.status = 'error';
+            run.statusText = `Error: ${error.message}`;
+        }
+        renderSynthesis();
+    }
+}
+
+function renderSynthesis() {
+    if (!synthesisRun) {
+        synthesisContainer.innerHTML = '';
+        return;
+    }
+
+    const run = synthesisRun;
+    const sourceLabel = run.source === 'outputs' ? 'results' : 'transcripts';
+
+    synthesisContainer.innerHTML = `
+        <div class="result-item ${run.status}">
+            <div class="result-header">
+                <span class="result-filename">Synthesis of ${run.documentCount} ${sourceLabel}</span>
+                <span class="result-status">${escapeHtml(run.statusText)}</span>
+            </div>
+            <div class="result-actions">
+                ${isResultActive(run) ? `
+                    <button class="btn btn-small btn-danger synthesis-cancel-btn">Cancel</button>
+                ` : ''}
+                ${run.status === 'complete' ? `
+                    <button class="btn btn-small btn-primary synthesis-copy-btn">Copy</button>
+                ` : ''}
+                <button class="btn btn-small btn-secondary synthesis-close-btn">Close</button>
+            </div>
+            ${run.output ? `
+                <div class="result-preview visible comparison-output">
+                    ${convertMarkdownToHtmlPreview(cleanOutput(run.output))}
+                </div>
+            ` : ''}
+        </div>
+    `;
 }
 
 // Helper Functions
@@ -1295,8 +6603,10 @@ function togglePreview(index) {
 }
 
 async function copyToClipboard(index) {
-    const text = currentResults[index].output;
+    await copyTextToClipboard(currentResults[index].output);
+}
 
+async function copyTextToClipboard(text) {
     // Convert markdown-style formatting to HTML for rich text paste
     const htmlContent = convertMarkdownToHtml(text);
 
@@ -1322,6 +6632,140 @@ async function copyToClipboard(index) {
     }
 }
 
+// ============================================
+// EXPORT FUNCTIONS
+// ============================================
+
+// Completed results in the order they are shown in the results panel
+function getExportableResults() {
+    return currentResults.filter(result => result.status === 'complete' && result.output);
+}
+
+function buildMarkdownExport(results) {
+    return results
+        .map(result => `# ${result.filename}\n\n${cleanOutput(result.output)}`)
+        .join('\n\n---\n\n') + '\n';
+}
+
+// Standalone HTML document; each section uses the same rendering as Copy
+function buildHtmlExport(results) {
+    const sections = results.map(result => `
+<section>
+<h1>${escapeHtml(result.filename)}</h1>
+${convertMarkdownToHtml(cleanOutput(result.output))}
+</section>`).join('\n<hr>\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Transcript Results</title>
+<style>
+body { font-family: Calibri, Arial, sans-serif; font-size: 11pt; line-height: 1.4; max-width: 900px; margin: 2em auto; }
+h1 { font-size: 14pt; }
+</style>
+</head>
+<body>
+${sections}
+</body>
+</html>`;
+}
+
+// One row per transcript, one column per flattened JSON field (union across the batch).
+// Results whose output is not JSON are skipped.
+function buildDataTable(results) {
+    const rows = [];
+    const columns = [];
+
+    results.forEach(result => {
+        const data = parseStructuredOutput(result.output);
+        if (data === undefined) return;
+
+        const fields = flattenJson(data);
+        Object.keys(fields).forEach(field => {
+            if (!columns.includes(field)) columns.push(field);
+        });
+        rows.push({ File: result.filename, ...fields });
+    });
+
+    return { columns: ['File', ...columns], rows };
+}
+
+function toCsvCell(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function buildCsvExport(table) {
+    return [table.columns, ...table.rows.map(row => table.columns.map(column => row[column]))]
+        .map(cells => cells.map(toCsvCell).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser a moment to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function handleExportAll() {
+    const results = getExportableResults();
+    if (results.length === 0) {
+        showToast('No completed results to export', 'warning');
+        return;
+    }
+
+    const format = exportFormatSelect.value;
+    const basename = `transcript-results-${new Date().toISOString().slice(0, 10)}`;
+
+    try {
+        if (format === 'csv' || format === 'xlsx') {
+            const table = buildDataTable(results);
+            if (table.rows.length === 0) {
+                showToast('No structured (JSON) results to export - add a JSON schema to the prompt', 'warning');
+                return;
+            }
+
+            if (format === 'csv') {
+                // BOM so Excel opens UTF-8 correctly
+                downloadBlob(new Blob(['\ufeff' + buildCsvExport(table)], { type: 'text/csv' }), `${basename}.csv`);
+            } else {
+                if (typeof XLSX === 'undefined') {
+                    throw new Error('XLSX library not loaded');
+                }
+                const workbook = XLSX.utils.book_new();
+                XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(table.rows, { header: table.columns }), 'Results');
+                XLSX.writeFile(workbook, `${basename}.xlsx`);
+            }
+            showToast(`Exported ${table.rows.length} row${table.rows.length === 1 ? '' : 's'}`, 'success');
+            return;
+        }
+
+        if (format === 'md') {
+            const markdown = buildMarkdownExport(results);
+            downloadBlob(new Blob([markdown], { type: 'text/markdown' }), `${basename}.md`);
+        } else if (format === 'html') {
+            const html = buildHtmlExport(results);
+            downloadBlob(new Blob([html], { type: 'text/html' }), `${basename}.html`);
+        } else if (format === 'docx') {
+            if (typeof htmlDocx === 'undefined') {
+                throw new Error('DOCX library not loaded');
+            }
+            downloadBlob(htmlDocx.asBlob(buildHtmlExport(results)), `${basename}.docx`);
+        }
+        showToast(`Exported ${results.length} result${results.length === 1 ? '' : 's'}`, 'success');
+    } catch (error) {
+        console.error('Export failed:', error);
+        showToast(`Export failed: ${error.message}`, 'error');
+    }
+}
+
 function convertMarkdownToHtml(text) {
     // Use marked.js library for proper markdown parsing
     if (typeof marked !== 'undefined') {
@@ -1358,6 +6802,8 @@ function convertMarkdownToHtmlPreview(text) {
 
 // Listen for prompt changes to update button state
 promptInput.addEventListener('input', updateUI);
+// Max output tokens changes how much of each transcript fits per request
+promptMaxTokensInput.addEventListener('input', updateFileList);
 
 // Initialize the app
 init();